@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const express = require('express');
+const {
+    getCacheStats,
+    getCacheLookupStats,
+    deleteCachedVideo,
+    clearExpiredCache,
+    listExpiringCache,
+    updateVideoCache
+} = require('./cacheService');
+const { getMovieById } = require('./movieService');
+const { getFreshVideoUrl, resolveSource } = require('./providers');
+const { describeScrapeFailure } = require('./scrapeErrors');
+const apiKeys = require('./apiKeys');
+const { config, describeConfig } = require('./config');
+const { logger } = require('./logger');
+
+// Bearer token for the admin API (admin routes are disabled while unset)
+const ADMIN_API_TOKEN = config.admin.token;
+
+const DEFAULT_EXPIRING_HOURS = 6;
+const DEFAULT_EXPIRING_LIMIT = 50;
+const MAX_EXPIRING_LIMIT = 500;
+
+/**
+ * Compare tokens in constant time
+ */
+function tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Require `Authorization: Bearer <ADMIN_API_TOKEN>`
+ */
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin API disabled',
+            message: 'Set ADMIN_API_TOKEN to enable the admin API'
+        });
+    }
+
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match || !tokensMatch(match[1], ADMIN_API_TOKEN)) {
+        logger.warn('🔐 Rejected admin request', { ip: req.ip, method: req.method, path: req.originalUrl });
+        res.setHeader('WWW-Authenticate', 'Bearer realm="admin"');
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            message: 'A valid admin bearer token is required'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Parse a cache key from the URL: a movie ID (movies table) or `video:<id>`
+ * (videos scraped through /api/scrape-video and /api/stream)
+ * @returns {{key: string, movieId: number|null, videoId: string|null}|null}
+ */
+function parseCacheKey(raw) {
+    if (/^[1-9]\d*$/.test(raw)) {
+        return { key: raw, movieId: parseInt(raw, 10), videoId: null };
+    }
+    if (raw.startsWith('video:') && raw.length > 'video:'.length) {
+        return { key: raw, movieId: null, videoId: raw.slice('video:'.length) };
+    }
+    return null;
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @returns {number|null} - Default when absent, null when invalid
+ */
+function parsePositiveInt(value, defaultValue) {
+    if (value === undefined) return defaultValue;
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 && String(parsed) === String(value) ? parsed : null;
+}
+
+function rejectInvalidKey(res) {
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid cache key',
+        message: 'Use a movie ID or a video:<id> key'
+    });
+}
+
+/**
+ * Answer 400 for invalid key settings (errors with statusCode 400 from apiKeys),
+ * 500 when the keys file couldn't be written
+ */
+function handleKeyError(error, res) {
+    if (error.statusCode === 400) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid API key settings',
+            message: error.message
+        });
+    }
+
+    logger.error('❌ API key store error', { error });
+    return res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: 'Unable to update API keys right now'
+    });
+}
+
+/**
+ * Admin API for cache management, API keys and the running config, mounted at /api
+ * @returns {express.Router}
+ */
+function createAdminRouter() {
+    const router = express.Router();
+
+    router.use(['/cache', '/keys', '/config'], requireAdminToken);
+
+    // Effective configuration for support requests (secrets redacted)
+    router.get('/config', (req, res) => {
+        res.json({ success: true, ...describeConfig(config) });
+    });
+
+    // Cache size and lookup counters
+    router.get('/cache/stats', async (req, res) => {
+        res.json({
+            success: true,
+            cache: await getCacheStats(),
+            lookups: getCacheLookupStats()
+        });
+    });
+
+    // Entries expiring within ?hours= (already expired ones first)
+    router.get('/cache/expiring', async (req, res) => {
+        const hours = parsePositiveInt(req.query.hours, DEFAULT_EXPIRING_HOURS);
+        const limit = parsePositiveInt(req.query.limit, DEFAULT_EXPIRING_LIMIT);
+
+        if (!hours || !limit || limit > MAX_EXPIRING_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid query',
+                message: `hours and limit must be positive integers (limit at most ${MAX_EXPIRING_LIMIT})`
+            });
+        }
+
+        const now = Date.now();
+        const entries = await listExpiringCache(hours, limit);
+
+        res.json({
+            success: true,
+            hours,
+            count: entries.length,
+            entries: entries.map(entry => ({
+                ...entry,
+                expired: entry.expiresAt.getTime() <= now,
+                expiresInMinutes: Math.round((entry.expiresAt.getTime() - now) / 60000)
+            }))
+        });
+    });
+
+    // Drop every expired entry
+    router.post('/cache/purge-expired', async (req, res) => {
+        const cleared = await clearExpiredCache();
+        res.json({ success: true, cleared });
+    });
+
+    // Drop one entry, so the next request scrapes a fresh URL
+    router.delete('/cache/:key', async (req, res) => {
+        const parsed = parseCacheKey(req.params.key);
+        if (!parsed) {
+            return rejectInvalidKey(res);
+        }
+
+        const deleted = await deleteCachedVideo(parsed.key);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Cache entry not found',
+                key: parsed.key
+            });
+        }
+
+        logger.info('🗑️  Admin removed cache entry', { cacheKey: parsed.key });
+        res.json({ success: true, key: parsed.key, deleted: true });
+    });
+
+    // Scrape a fresh URL now and replace the cached one
+    router.post('/cache/:key/refresh', async (req, res) => {
+        const parsed = parseCacheKey(req.params.key);
+        if (!parsed) {
+            return rejectInvalidKey(res);
+        }
+
+        try {
+            let input = parsed.videoId;
+            if (parsed.movieId) {
+                const movie = await getMovieById(parsed.movieId);
+                if (!movie || !movie.video_url) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Video not found',
+                        key: parsed.key
+                    });
+                }
+                input = movie.video_url;
+            }
+
+            let source;
+            try {
+                source = await resolveSource(input);
+            } catch (error) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Unsupported video',
+                    message: 'This cache entry does not reference a supported video',
+                    key: parsed.key
+                });
+            }
+
+            logger.info('🔄 Admin refresh', { cacheKey: parsed.key, videoId: source.id });
+            const freshVideoData = await getFreshVideoUrl(source.id);
+
+            if (!freshVideoData || !freshVideoData.success || !freshVideoData.url) {
+                logger.warn('❌ Admin refresh failed', { cacheKey: parsed.key, errorCode: freshVideoData && freshVideoData.errorCode });
+
+                const { statusCode, body } = describeScrapeFailure(freshVideoData);
+                if (body.retryAfter) {
+                    res.setHeader('Retry-After', String(body.retryAfter));
+                }
+                return res.status(statusCode).json({ ...body, provider: source.provider.name, key: parsed.key });
+            }
+
+            const cached = await updateVideoCache(
+                parsed.movieId || parsed.key,
+                freshVideoData.url,
+                freshVideoData.expiresAt,
+                freshVideoData.streams
+            );
+
+            res.json({
+                success: true,
+                key: parsed.key,
+                provider: freshVideoData.provider,
+                strategy: freshVideoData.strategy,
+                quality: freshVideoData.quality,
+                expiresAt: freshVideoData.expiresAt,
+                cached
+            });
+
+        } catch (error) {
+            logger.error('❌ Admin refresh error', { cacheKey: parsed.key, error });
+
+            res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Unable to refresh this cache entry right now'
+            });
+        }
+    });
+
+    // API keys (the raw key is only returned by POST)
+    router.get('/keys', (req, res) => {
+        res.json({ success: true, keys: apiKeys.list() });
+    });
+
+    router.post('/keys', async (req, res) => {
+        try {
+            const { key, record } = await apiKeys.create(req.body);
+            res.status(201).json({
+                success: true,
+                key,
+                apiKey: record,
+                message: 'Store this key now: it cannot be shown again'
+            });
+        } catch (error) {
+            handleKeyError(error, res);
+        }
+    });
+
+    router.patch('/keys/:id', async (req, res) => {
+        try {
+            const record = await apiKeys.update(req.params.id, req.body);
+            if (!record) {
+                return res.status(404).json({ success: false, error: 'API key not found' });
+            }
+            res.json({ success: true, apiKey: record });
+        } catch (error) {
+            handleKeyError(error, res);
+        }
+    });
+
+    router.delete('/keys/:id', async (req, res) => {
+        try {
+            if (!(await apiKeys.revoke(req.params.id))) {
+                return res.status(404).json({ success: false, error: 'API key not found' });
+            }
+            res.json({ success: true, id: req.params.id, revoked: true });
+        } catch (error) {
+            handleKeyError(error, res);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter, tokensMatch };
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'cd_';
+
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function isPositiveInt(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check that every allowed origin is a bare origin like https://partner.example
+ */
+function validateOrigins(origins) {
+    if (!Array.isArray(origins)) {
+        throw badRequest('allowedOrigins must be an array of origins');
+    }
+    for (const origin of origins) {
+        let parsed = null;
+        try {
+            parsed = new URL(origin);
+        } catch (e) {
+            // Reported below
+        }
+        if (!parsed || parsed.origin !== origin) {
+            throw badRequest(`Invalid origin "${origin}" (expected e.g. https://partner.example)`);
+        }
+    }
+    return [...new Set(origins)];
+}
+
+/**
+ * API key store. Keys are kept in memory and saved to a JSON file
+ * (API_KEYS_FILE); only a SHA-256 hash of each key is stored, so a key is
+ * shown once, when it is created.
+ */
+const apiKeys = {
+    filePath: config.apiKeys.file,
+    defaults: {
+        requestsPerWindow: config.apiKeys.defaultMaxRequests,
+        scrapeBudget: config.apiKeys.defaultScrapeBudget
+    },
+    keys: null, // Map<id, record>
+    writing: Promise.resolve(),
+
+    /**
+     * Load keys from the file (once)
+     */
+    load: function () {
+        if (this.keys) return this.keys;
+
+        this.keys = new Map();
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const record of raw) {
+                this.keys.set(record.id, { ...record, lastUsedAt: null });
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('⚠️  Could not read API keys file', { file: this.filePath, error });
+            }
+        }
+        return this.keys;
+    },
+
+    /**
+     * Save every key to API_KEYS_FILE
+     * @returns {Promise<void>} - Rejects when the file can't be written (the change is then only in memory)
+     */
+    persist: function () {
+        // Usage timestamps are runtime state, not saved
+        const snapshot = JSON.stringify(
+            [...this.keys.values()].map(({ lastUsedAt, ...record }) => record),
+            null,
+            2
+        );
+
+        // Chain writes so they never interleave; a failed write doesn't stop the next one
+        const write = this.writing.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, snapshot, { encoding: 'utf8', mode: 0o600 });
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        this.writing = write.catch(() => { });
+
+        return write;
+    },
+
+    /**
+     * Public view of a key record (never includes the hash)
+     */
+    describe: function (record) {
+        const { keyHash, ...publicFields } = record;
+        return publicFields;
+    },
+
+    /**
+     * Create a key
+     * @param {{name: string, requestsPerWindow?: number, scrapeBudget?: number, allowedOrigins?: Array<string>}} options
+     * @returns {Promise<{key: string, record: object}>} - The raw key (shown once) and its public record
+     * @throws {Error} - statusCode 400 on invalid options
+     */
+    create: async function (options = {}) {
+        const keys = this.load();
+
+        if (typeof options.name !== 'string' || !options.name.trim() || options.name.length > 100) {
+            throw badRequest('name is required (at most 100 characters)');
+        }
+
+        const rawKey = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: crypto.randomUUID(),
+            name: options.name.trim(),
+            prefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+            keyHash: hashKey(rawKey),
+            requestsPerWindow: this.defaults.requestsPerWindow,
+            scrapeBudget: this.defaults.scrapeBudget,
+            allowedOrigins: [],
+            disabled: false,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        this.applyChanges(record, options);
+
+        keys.set(record.id, record);
+        await this.persist();
+        logger.info('🔑 API key created', { keyId: record.id, name: record.name, prefix: record.prefix });
+
+        return { key: rawKey, record: this.describe(record) };
+    },
+
+    /**
+     * Validate and apply quota/origin/disabled changes to a record
+     */
+    applyChanges: function (record, changes) {
+        const next = { ...record };
+
+        if (changes.name !== undefined) {
+            if (typeof changes.name !== 'string' || !changes.name.trim() || changes.name.length > 100) {
+                throw badRequest('name must be a non-empty string (at most 100 characters)');
+            }
+            next.name = changes.name.trim();
+        }
+        if (changes.requestsPerWindow !== undefined) {
+            if (!isPositiveInt(changes.requestsPerWindow)) {
+                throw badRequest('requestsPerWindow must be a positive integer');
+            }
+            next.requestsPerWindow = changes.requestsPerWindow;
+        }
+        if (changes.scrapeBudget !== undefined) {
+            // 0 makes a cache-only key, as API_KEY_DEFAULT_SCRAPE_BUDGET allows
+            if (!Number.isInteger(changes.scrapeBudget) || changes.scrapeBudget < 0) {
+                throw badRequest('scrapeBudget must be a non-negative integer');
+            }
+            next.scrapeBudget = changes.scrapeBudget;
+        }
+        if (changes.allowedOrigins !== undefined) {
+            next.allowedOrigins = validateOrigins(changes.allowedOrigins);
+        }
+        if (changes.disabled !== undefined) {
+            if (typeof changes.disabled !== 'boolean') {
+                throw badRequest('disabled must be true or false');
+            }
+            next.disabled = changes.disabled;
+        }
+
+        Object.assign(record, next);
+        return record;
+    },
+
+    /**
+     * Update a key's name, quotas, allowed origins or disabled flag
+     * @returns {Promise<object|null>} - Public record, or null if the key doesn't exist
+     * @throws {Error} - statusCode 400 on invalid changes
+     */
+    update: async function (id, changes = {}) {
+        const record = this.load().get(id);
+        if (!record) return null;
+
+        this.applyChanges(record, changes);
+        await this.persist();
+        return this.describe(record);
+    },
+
+    /**
+     * Delete a key
+     * @returns {Promise<boolean>} - True if the key existed
+     */
+    revoke: async function (id) {
+        const keys = this.load();
+        const record = keys.get(id);
+        if (!record) return false;
+
+        keys.delete(id);
+        await this.persist();
+        logger.info('🔑 API key revoked', { keyId: record.id, name: record.name, prefix: record.prefix });
+        return true;
+    },
+
+    list: function () {
+        return [...this.load().values()].map(record => this.describe(record));
+    },
+
+    /**
+     * Find the active record for a raw key
+     * @returns {object|null} - Null for unknown or disabled keys
+     */
+    authenticate: function (rawKey) {
+        if (typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) return null;
+
+        const keyHash = hashKey(rawKey);
+        for (const record of this.load().values()) {
+            if (record.keyHash === keyHash && !record.disabled) {
+                record.lastUsedAt = new Date().toISOString();
+                return record;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Whether any active key allows this browser origin (used for CORS)
+     */
+    isOriginAllowed: function (origin) {
+        for (const record of this.load().values()) {
+            if (!record.disabled && record.allowedOrigins.includes(origin)) return true;
+        }
+        return false;
+    }
+};
+
+module.exports = apiKeys;
@@ -0,0 +1,145 @@
+const { getFreshVideoUrl, resolveSource } = require('./providers');
+const { updateVideoCache } = require('./cacheService');
+const { getMoviesExpiringWithin } = require('./movieService');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Background URL refresh: re-scrapes cached URLs shortly before they expire
+ */
+const backgroundRefresh = {
+    intervalMs: config.backgroundRefresh.intervalMs,
+    beforeExpiryHours: config.backgroundRefresh.beforeExpiryHours,
+    maxPerRun: config.backgroundRefresh.maxPerRun,
+    timer: null,
+    running: false,
+    stopped: false,
+    currentRun: null, // Promise of the run in progress
+    lastRun: null,
+
+    /**
+     * Start periodic refresh
+     */
+    start: function () {
+        if (this.timer) return;
+        this.stopped = false;
+
+        logger.info('🔄 Background refresh system started', {
+            intervalMinutes: Math.round(this.intervalMs / 60000),
+            beforeExpiryHours: this.beforeExpiryHours
+        });
+
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.run();
+    },
+
+    /**
+     * Stop periodic refresh. A run in progress finishes the movie it is on and skips the rest.
+     * @returns {Promise<void>} - Resolves when no run is in progress
+     */
+    stop: function () {
+        this.stopped = true;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('⏹️  Background refresh system stopped');
+        }
+
+        return this.currentRun ? this.currentRun.then(() => { }) : Promise.resolve();
+    },
+
+    /**
+     * Refresh expiring URLs once
+     * @returns {Promise<object|null>} - Run report, or null if a run is already in progress or refresh is stopped
+     */
+    run: function () {
+        if (this.running || this.stopped) return Promise.resolve(null);
+
+        this.currentRun = this.refreshExpiring().finally(() => {
+            this.currentRun = null;
+        });
+        return this.currentRun;
+    },
+
+    refreshExpiring: async function () {
+        this.running = true;
+
+        const report = {
+            startedAt: new Date(),
+            finishedAt: null,
+            found: 0,
+            refreshed: 0,
+            failed: 0,
+            items: [],
+            stopped: false,
+            error: null
+        };
+
+        try {
+            logger.info('🔍 Background refresh: Checking for expiring URLs...');
+
+            const movies = await getMoviesExpiringWithin(this.beforeExpiryHours, this.maxPerRun);
+            report.found = movies.length;
+            logger.info('📋 Found URLs to refresh', { count: movies.length });
+
+            for (const movie of movies) {
+                if (this.stopped) {
+                    logger.info('⏹️  Background refresh stopped, skipping the remaining URLs', { remaining: movies.length - report.items.length });
+                    report.stopped = true;
+                    break;
+                }
+
+                const minutesLeft = Math.round((new Date(movie.url_expires_at) - Date.now()) / 60000);
+                logger.info('🔄 Refreshing', { movieId: movie.id, title: movie.title, expiresInMinutes: minutesLeft });
+
+                let result;
+                try {
+                    const source = await resolveSource(movie.video_url);
+                    // Facebook scrapes queue behind API requests; waiting up to a whole interval is fine here
+                    result = await getFreshVideoUrl(source.id, { maxWaitMs: this.intervalMs });
+                } catch (error) {
+                    result = { success: false, error: error.message };
+                }
+
+                if (result && result.success && result.url) {
+                    await updateVideoCache(movie.id, result.url, result.expiresAt, result.streams);
+                    logger.info('✅ Refreshed', { movieId: movie.id, title: movie.title, quality: result.quality });
+                    report.refreshed++;
+                    report.items.push({ movieId: movie.id, title: movie.title, success: true, quality: result.quality, provider: result.provider });
+                } else {
+                    const error = (result && result.error) || 'Scrape failed';
+                    logger.warn('❌ Refresh failed', { movieId: movie.id, title: movie.title, errorCode: result && result.errorCode, error });
+                    report.failed++;
+                    report.items.push({ movieId: movie.id, title: movie.title, success: false, code: (result && result.errorCode) || 'SCRAPE_FAILED', error });
+                }
+            }
+
+            logger.info('✅ Background refresh completed');
+        } catch (error) {
+            logger.error('❌ Background refresh error', { error });
+            report.error = error.message;
+        } finally {
+            report.finishedAt = new Date();
+            this.lastRun = report;
+            this.running = false;
+        }
+
+        return report;
+    },
+
+    /**
+     * Get scheduler status and the last run report
+     */
+    getStatus: function () {
+        return {
+            enabled: Boolean(this.timer),
+            running: this.running,
+            intervalMs: this.intervalMs,
+            beforeExpiryHours: this.beforeExpiryHours,
+            maxPerRun: this.maxPerRun,
+            lastRun: this.lastRun
+        };
+    }
+};
+
+module.exports = backgroundRefresh;
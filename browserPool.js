@@ -0,0 +1,181 @@
+const puppeteer = require('puppeteer-core');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { onShutdown } = require('./shutdown');
+
+/**
+ * Persistent Chrome instance with a bounded pool of incognito pages.
+ * Each pooled page lives in its own incognito context so cookies never
+ * leak between scrapes, and is recycled after `maxUsesPerPage` leases.
+ */
+const browserPool = {
+    browser: null,
+    launching: null,
+    maxPages: config.browser.poolSize,
+    maxUsesPerPage: config.browser.pageMaxUses,
+    idle: [],      // Array<{context, page, uses, browser}>
+    active: 0,
+    waiters: [],   // Pending acquire() resolvers (FIFO)
+    counters: {
+        launches: 0,
+        crashes: 0,
+        pagesCreated: 0,
+        pagesRecycled: 0,
+        leases: 0
+    },
+
+    /**
+     * Get the shared browser, launching (or relaunching) it when needed
+     * @returns {Promise<import('puppeteer-core').Browser>}
+     */
+    getBrowser: async function () {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+
+        // Share one launch between concurrent callers
+        if (!this.launching) {
+            this.launching = this.launch().finally(() => {
+                this.launching = null;
+            });
+        }
+
+        return this.launching;
+    },
+
+    launch: async function () {
+        logger.info('🌐 Launching shared Chrome instance...');
+
+        const browser = await puppeteer.launch({
+            headless: 'new',
+            executablePath: config.browser.executablePath,
+            args: [...config.browser.args]
+        });
+
+        browser.on('disconnected', () => {
+            if (this.browser !== browser) return;
+
+            logger.warn('⚠️  Chrome disconnected. It will be relaunched on next scrape.');
+            this.counters.crashes++;
+            this.browser = null;
+            // Pages of a dead browser can never be reused
+            this.idle = this.idle.filter(entry => entry.browser !== browser);
+        });
+
+        this.browser = browser;
+        this.counters.launches++;
+        return browser;
+    },
+
+    /**
+     * Lease a page from the pool, waiting if all pages are busy
+     * @returns {Promise<{context: object, page: object, uses: number, browser: object}>}
+     */
+    acquire: async function () {
+        if (this.active >= this.maxPages) {
+            // The releasing caller hands its slot straight to us
+            await new Promise(resolve => this.waiters.push(resolve));
+        } else {
+            this.active++;
+        }
+
+        try {
+            const browser = await this.getBrowser();
+
+            let entry = this.idle.pop();
+            while (entry && entry.browser !== browser) {
+                entry = this.idle.pop();
+            }
+
+            if (!entry) {
+                const context = await browser.createIncognitoBrowserContext();
+                const page = await context.newPage();
+                entry = { context, page, uses: 0, browser };
+                this.counters.pagesCreated++;
+            }
+
+            entry.uses++;
+            this.counters.leases++;
+            return entry;
+        } catch (error) {
+            this.releaseSlot();
+            throw error;
+        }
+    },
+
+    /**
+     * Return a leased page to the pool
+     * @param {object} entry - Entry returned by acquire()
+     * @param {{discard?: boolean}} options - Discard the page instead of reusing it
+     */
+    release: async function (entry, options = {}) {
+        try {
+            const reusable = !options.discard &&
+                entry.uses < this.maxUsesPerPage &&
+                entry.browser === this.browser &&
+                entry.browser.isConnected() &&
+                !entry.page.isClosed();
+
+            if (reusable) {
+                try {
+                    // Reset the page so the next scrape starts clean (scrapes listen to requests and responses)
+                    entry.page.removeAllListeners('request');
+                    entry.page.removeAllListeners('response');
+                    await entry.page.setRequestInterception(false);
+                    await entry.page.goto('about:blank', { timeout: 5000 });
+                    this.idle.push(entry);
+                    return;
+                } catch (e) {
+                    // Fall through and recycle the page
+                }
+            }
+
+            this.counters.pagesRecycled++;
+            await entry.context.close().catch(() => { });
+        } finally {
+            this.releaseSlot();
+        }
+    },
+
+    releaseSlot: function () {
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    },
+
+    /**
+     * Get pool statistics
+     * @returns {object}
+     */
+    getStats: function () {
+        return {
+            connected: Boolean(this.browser && this.browser.isConnected()),
+            maxPages: this.maxPages,
+            maxUsesPerPage: this.maxUsesPerPage,
+            activePages: this.active,
+            idlePages: this.idle.length,
+            waiting: this.waiters.length,
+            ...this.counters
+        };
+    },
+
+    /**
+     * Close the shared browser and drop all pooled pages
+     */
+    close: async function () {
+        const browser = this.browser;
+        this.browser = null;
+        this.idle = [];
+
+        if (browser) {
+            await browser.close().catch(() => { });
+        }
+    }
+};
+
+onShutdown('browser', () => browserPool.close());
+
+module.exports = browserPool;
@@ -1,164 +1,241 @@
-const db = require('./db');
+const { createCacheStore } = require('./cacheStores');
+const { extractExpiration, validateUrl } = require('./videoScraper');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Active cache backend (memory | file | mysql), chosen by CACHE_BACKEND
+const store = createCacheStore(config.cache.backend, config.cache);
+
+// Optional HEAD check before serving a cached URL (Facebook can revoke URLs early)
+const verifyUrls = config.cache.verifyUrls;
+const verifyTtlMs = config.cache.verifyTtlMs;
+const verifiedUrls = new Map(); // Map<url, {ok, checkedAt}>
+
+// Lookup counters for monitoring
+const lookupStats = {
+    hits: 0,
+    misses: 0,
+    invalid: 0,
+    verifications: 0
+};
+
+/**
+ * Check a cached URL with a HEAD request, reusing recent results
+ * @param {string} url - Cached video URL
+ * @returns {Promise<boolean>}
+ */
+async function isUrlStillValid(url) {
+    const now = Date.now();
+    const known = verifiedUrls.get(url);
+    if (known && now - known.checkedAt < verifyTtlMs) {
+        return known.ok;
+    }
+
+    lookupStats.verifications++;
+    const ok = await validateUrl(url);
+    verifiedUrls.set(url, { ok, checkedAt: now });
+
+    // Drop stale results so the map stays small
+    if (verifiedUrls.size > 1000) {
+        for (const [key, result] of verifiedUrls.entries()) {
+            if (now - result.checkedAt >= verifyTtlMs) verifiedUrls.delete(key);
+        }
+    }
+
+    return ok;
+}
 
 /**
- * Update video URL cache in database
- * @param {number} movieId - Movie ID
+ * Update video URL cache
+ * @param {number|string} movieId - Movie ID (or other cache key)
  * @param {string} videoUrl - Cached video URL
- * @param {Date} expiresAt - Expiration timestamp
+ * @param {Date} [expiresAt] - Expiration timestamp (derived from the URL if omitted)
+ * @param {Array<object>} [streams] - All captured streams (not kept by every backend)
  * @returns {Promise<boolean>} - True on success, false on failure
  */
-async function updateVideoCache(movieId, videoUrl, expiresAt) {
+async function updateVideoCache(movieId, videoUrl, expiresAt, streams = null) {
     try {
         // Validate inputs
-        if (!movieId || !videoUrl || !expiresAt) {
-            console.error('❌ Invalid parameters for updateVideoCache');
+        if (!movieId || !videoUrl) {
+            logger.error('❌ Invalid parameters for updateVideoCache', { cacheKey: movieId });
             return false;
         }
 
-        // Format date for MySQL
-        const formattedExpiry = expiresAt.toISOString().slice(0, 19).replace('T', ' ');
+        // A DASH video track alone has no audio, so only cache it where all streams are kept
+        const isDash = Boolean(streams && streams.length > 0 &&
+            !streams.some(stream => (stream.kind || 'muxed') === 'muxed'));
+        if (isDash && !store.keepsStreams) {
+            logger.info('⏭️  Not caching DASH streams (store keeps a single URL)', { cacheKey: movieId, backend: store.backend });
+            return false;
+        }
 
-        // Execute UPDATE query with prepared statement
-        const [result] = await db.query(
-            'UPDATE movies SET cached_video_url = ?, url_expires_at = ? WHERE id = ?',
-            [videoUrl, formattedExpiry, movieId]
-        );
+        const expiry = expiresAt || extractExpiration(videoUrl);
+        const stored = await store.set(movieId, videoUrl, expiry, streams);
 
-        // Check if any rows were affected
-        if (result.affectedRows > 0) {
-            console.log(`✅ Cache updated for movie ${movieId}. Expires: ${formattedExpiry}`);
+        if (stored) {
+            logger.info('✅ Cache updated', { cacheKey: movieId, expiresAt: expiry.toISOString() });
             return true;
         } else {
-            console.warn(`⚠️  No movie found with ID ${movieId}`);
+            logger.warn('⚠️  Could not cache (no matching entry in store)', { cacheKey: movieId, backend: store.backend });
             return false;
         }
 
     } catch (error) {
-        console.error('❌ Error updating video cache:', error.message);
+        logger.error('❌ Error updating video cache', { cacheKey: movieId, error });
         return false;
     }
 }
 
 /**
- * Get cached video URL from database and validate expiration
- * @param {number} movieId - Movie ID
- * @returns {Promise<{valid: boolean, url: string|null, expiresAt: Date|null}>}
+ * Get cached video URL and validate expiration.
+ * With verification on, a URL that fails its HEAD check is removed from the
+ * cache and reported as not valid, so the caller scrapes a fresh one.
+ * @param {number|string} movieId - Movie ID (or other cache key)
+ * @param {{verify?: boolean}} options - Override CACHE_VERIFY_URLS
+ * @returns {Promise<{valid: boolean, url: string|null, expiresAt: Date|null, streams?: Array<object>|null}>}
  */
-async function getCachedVideo(movieId) {
+async function getCachedVideo(movieId, options = {}) {
+    const verify = options.verify !== undefined ? options.verify : verifyUrls;
+
     try {
         // Validate input
         if (!movieId) {
-            console.error('❌ Invalid movie ID');
+            logger.error('❌ Invalid movie ID', { cacheKey: movieId });
             return { valid: false, url: null, expiresAt: null };
         }
 
-        // Execute SELECT query with prepared statement
-        const [rows] = await db.query(
-            'SELECT cached_video_url, url_expires_at FROM movies WHERE id = ?',
-            [movieId]
-        );
-
-        // Check if movie exists
-        if (rows.length === 0) {
-            console.warn(`⚠️  No movie found with ID ${movieId}`);
-            return { valid: false, url: null, expiresAt: null };
-        }
-
-        const movie = rows[0];
+        const entry = await store.get(movieId);
 
         // Check if cache exists
-        if (!movie.cached_video_url || !movie.url_expires_at) {
-            console.log(`📭 No cached URL for movie ${movieId}`);
+        if (!entry) {
+            logger.info('📭 No cached URL', { cacheKey: movieId });
+            lookupStats.misses++;
             return { valid: false, url: null, expiresAt: null };
         }
 
         // Validate expiration
-        const expiresAt = new Date(movie.url_expires_at);
+        const expiresAt = entry.expiresAt;
         const now = new Date();
 
         if (expiresAt > now) {
+            if (verify && !(await isUrlStillValid(entry.url))) {
+                // Revoked before its expiry: drop it so it gets re-scraped
+                logger.warn('🩺 Cached URL failed verification. Invalidating.', { cacheKey: movieId });
+                lookupStats.invalid++;
+                await store.delete(movieId);
+                return { valid: false, url: null, expiresAt: null };
+            }
+
             // Cache is still valid
+            lookupStats.hits++;
             const timeUntilExpiry = Math.round((expiresAt - now) / 60000); // minutes
-            console.log(`✅ Valid cache found for movie ${movieId}. Expires in ${timeUntilExpiry} minutes`);
-            
+            logger.info('✅ Valid cache found', { cacheKey: movieId, expiresInMinutes: timeUntilExpiry });
+
             return {
                 valid: true,
-                url: movie.cached_video_url,
-                expiresAt: expiresAt
+                url: entry.url,
+                expiresAt: expiresAt,
+                streams: entry.streams || null
             };
         } else {
             // Cache has expired
-            console.log(`⏰ Cache expired for movie ${movieId}`);
+            logger.info('⏰ Cache expired', { cacheKey: movieId });
+            lookupStats.misses++;
             return {
                 valid: false,
-                url: movie.cached_video_url, // Still return URL for reference
+                url: entry.url, // Still return URL for reference
                 expiresAt: expiresAt
             };
         }
 
     } catch (error) {
-        console.error('❌ Error getting cached video:', error.message);
+        logger.error('❌ Error getting cached video', { cacheKey: movieId, error });
         return { valid: false, url: null, expiresAt: null };
     }
 }
 
+/**
+ * Remove a cached video URL
+ * @param {number|string} movieId - Movie ID (or other cache key)
+ * @returns {Promise<boolean>} - True if an entry was removed
+ */
+async function deleteCachedVideo(movieId) {
+    try {
+        return await store.delete(movieId);
+    } catch (error) {
+        logger.error('❌ Error deleting cached video', { cacheKey: movieId, error });
+        return false;
+    }
+}
+
 /**
  * Clear expired cache entries (maintenance function)
  * @returns {Promise<number>} - Number of cleared entries
  */
 async function clearExpiredCache() {
     try {
-        const [result] = await db.query(
-            'UPDATE movies SET cached_video_url = NULL, url_expires_at = NULL WHERE url_expires_at < NOW()'
-        );
+        const clearedCount = await store.purgeExpired();
 
-        const clearedCount = result.affectedRows;
-        
         if (clearedCount > 0) {
-            console.log(`🧹 Cleared ${clearedCount} expired cache entries`);
+            logger.info('🧹 Cleared expired cache entries', { count: clearedCount });
         }
 
         return clearedCount;
 
     } catch (error) {
-        console.error('❌ Error clearing expired cache:', error.message);
+        logger.error('❌ Error clearing expired cache', { error });
         return 0;
     }
 }
 
+/**
+ * List cache entries expiring soon (and already expired ones), soonest first
+ * @param {number} hours - Expiry window in hours
+ * @param {number} limit - Max entries to return
+ * @returns {Promise<Array<{key: string, url: string, expiresAt: Date, title?: string}>>}
+ */
+async function listExpiringCache(hours, limit) {
+    try {
+        return await store.listExpiring(hours * 60 * 60 * 1000, limit);
+    } catch (error) {
+        logger.error('❌ Error listing expiring cache', { error });
+        return [];
+    }
+}
+
 /**
  * Get cache statistics
- * @returns {Promise<{total: number, cached: number, expired: number}>}
+ * @returns {Promise<{backend: string, cached: number, expired: number}>}
  */
 async function getCacheStats() {
     try {
-        // Total movies
-        const [totalRows] = await db.query('SELECT COUNT(*) as count FROM movies');
-        const total = totalRows[0].count;
-
-        // Cached movies
-        const [cachedRows] = await db.query(
-            'SELECT COUNT(*) as count FROM movies WHERE cached_video_url IS NOT NULL'
-        );
-        const cached = cachedRows[0].count;
-
-        // Expired cache
-        const [expiredRows] = await db.query(
-            'SELECT COUNT(*) as count FROM movies WHERE cached_video_url IS NOT NULL AND url_expires_at < NOW()'
-        );
-        const expired = expiredRows[0].count;
-
-        return { total, cached, expired };
-
+        return await store.stats();
     } catch (error) {
-        console.error('❌ Error getting cache stats:', error.message);
-        return { total: 0, cached: 0, expired: 0 };
+        logger.error('❌ Error getting cache stats', { error });
+        return { backend: store.backend, cached: 0, expired: 0 };
     }
 }
 
+/**
+ * Get cache lookup counters (since startup)
+ * @returns {{hits: number, misses: number, invalid: number, verifications: number, hitRatio: number|null, verifyEnabled: boolean}}
+ */
+function getCacheLookupStats() {
+    const lookups = lookupStats.hits + lookupStats.misses + lookupStats.invalid;
+
+    return {
+        ...lookupStats,
+        hitRatio: lookups > 0 ? Math.round((lookupStats.hits / lookups) * 1000) / 1000 : null,
+        verifyEnabled: verifyUrls
+    };
+}
+
 module.exports = {
     updateVideoCache,
     getCachedVideo,
+    deleteCachedVideo,
     clearExpiredCache,
-    getCacheStats
+    listExpiringCache,
+    getCacheStats,
+    getCacheLookupStats
 };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+/**
+ * JSON file cache store. Entries are kept in memory and the whole
+ * file is rewritten (atomically, via a temp file) on every change.
+ * @param {{filePath: string}} options
+ */
+function createFileStore(options) {
+    const filePath = options.filePath;
+    let entries = null;    // Map<key, {url, expiresAt, streams}>
+    let loading = null;
+    let writing = Promise.resolve();
+
+    async function load() {
+        if (entries) return entries;
+
+        if (!loading) {
+            loading = (async () => {
+                const loaded = new Map();
+                try {
+                    const raw = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+                    for (const [key, entry] of Object.entries(raw)) {
+                        loaded.set(key, {
+                            url: entry.url,
+                            expiresAt: new Date(entry.expiresAt),
+                            streams: entry.streams || null
+                        });
+                    }
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        logger.warn('⚠️  Could not read cache file', { file: filePath, error });
+                    }
+                }
+                entries = loaded;
+                return entries;
+            })();
+        }
+
+        return loading;
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(entries), null, 2);
+
+        // Chain writes so they never interleave
+        writing = writing.then(async () => {
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+            await fs.promises.rename(tmpPath, filePath);
+        }).catch(error => {
+            logger.error('❌ Error writing cache file', { file: filePath, error });
+        });
+
+        return writing;
+    }
+
+    return {
+        backend: 'file',
+        keepsStreams: true,
+
+        get: async function (key) {
+            const entry = (await load()).get(String(key));
+            return entry ? { url: entry.url, expiresAt: entry.expiresAt, streams: entry.streams } : null;
+        },
+
+        set: async function (key, url, expiresAt, streams = null) {
+            (await load()).set(String(key), { url, expiresAt, streams });
+            await persist();
+            return true;
+        },
+
+        delete: async function (key) {
+            const deleted = (await load()).delete(String(key));
+            if (deleted) await persist();
+            return deleted;
+        },
+
+        purgeExpired: async function () {
+            const now = new Date();
+            let cleared = 0;
+            for (const [key, entry] of (await load()).entries()) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                    cleared++;
+                }
+            }
+            if (cleared > 0) await persist();
+            return cleared;
+        },
+
+        listExpiring: async function (withinMs, limit) {
+            const cutoff = Date.now() + withinMs;
+            return [...(await load()).entries()]
+                .filter(([, entry]) => entry.expiresAt.getTime() <= cutoff)
+                .sort(([, a], [, b]) => a.expiresAt - b.expiresAt)
+                .slice(0, limit)
+                .map(([key, entry]) => ({ key, url: entry.url, expiresAt: entry.expiresAt }));
+        },
+
+        stats: async function () {
+            const now = new Date();
+            let expired = 0;
+            for (const entry of (await load()).values()) {
+                if (entry.expiresAt <= now) expired++;
+            }
+            return { backend: 'file', cached: entries.size, expired, filePath };
+        }
+    };
+}
+
+module.exports = { createFileStore };
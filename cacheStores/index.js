@@ -0,0 +1,40 @@
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createMysqlStore } = require('./mysqlStore');
+
+/**
+ * Cache store interface (all methods async):
+ *   get(key)                   -> {url, expiresAt, streams?} | null
+ *   set(key, url, expiresAt, streams?) -> boolean
+ *   delete(key)                -> boolean
+ *   purgeExpired()             -> number of cleared entries
+ *   listExpiring(withinMs, limit) -> [{key, url, expiresAt, title?}], soonest first
+ *                                 (already expired entries included)
+ *   stats()                    -> {backend, cached, expired, ...}
+ * and `keepsStreams`: whether all captured streams (renditions, DASH tracks) are stored
+ */
+
+/**
+ * Create the cache store for a backend name
+ * @param {string} [backend] - 'memory' (default, like CACHE_BACKEND) | 'file' | 'mysql'
+ * @param {{maxEntries?: number, filePath?: string}} options - Memory store size, file store path (config.cache)
+ */
+function createCacheStore(backend = 'memory', options = {}) {
+    switch (backend) {
+        case 'memory':
+            return createMemoryStore({
+                maxEntries: options.maxEntries || 1000
+            });
+        case 'file':
+            return createFileStore({
+                filePath: options.filePath || path.join(__dirname, '..', 'video-cache.json')
+            });
+        case 'mysql':
+            return createMysqlStore();
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected memory, file or mysql)`);
+    }
+}
+
+module.exports = { createCacheStore };
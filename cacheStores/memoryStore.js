@@ -0,0 +1,78 @@
+/**
+ * In-process LRU cache store with per-entry TTL.
+ * Entries expire at their video URL's own expiry time.
+ * @param {{maxEntries?: number}} options
+ */
+function createMemoryStore(options = {}) {
+    const maxEntries = options.maxEntries || 1000;
+    const entries = new Map(); // Map<key, {url, expiresAt, streams}> in LRU order (oldest first)
+
+    return {
+        backend: 'memory',
+        keepsStreams: true,
+
+        get: async function (key) {
+            key = String(key);
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt <= new Date()) {
+                entries.delete(key);
+                return null;
+            }
+
+            // Mark as most recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return { url: entry.url, expiresAt: entry.expiresAt, streams: entry.streams };
+        },
+
+        set: async function (key, url, expiresAt, streams = null) {
+            key = String(key);
+            entries.delete(key);
+            entries.set(key, { url, expiresAt, streams });
+
+            // Evict least recently used entries
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            return true;
+        },
+
+        delete: async function (key) {
+            return entries.delete(String(key));
+        },
+
+        purgeExpired: async function () {
+            const now = new Date();
+            let cleared = 0;
+            for (const [key, entry] of entries.entries()) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                    cleared++;
+                }
+            }
+            return cleared;
+        },
+
+        listExpiring: async function (withinMs, limit) {
+            const cutoff = Date.now() + withinMs;
+            return [...entries.entries()]
+                .filter(([, entry]) => entry.expiresAt.getTime() <= cutoff)
+                .sort(([, a], [, b]) => a.expiresAt - b.expiresAt)
+                .slice(0, limit)
+                .map(([key, entry]) => ({ key, url: entry.url, expiresAt: entry.expiresAt }));
+        },
+
+        stats: async function () {
+            const now = new Date();
+            let expired = 0;
+            for (const entry of entries.values()) {
+                if (entry.expiresAt <= now) expired++;
+            }
+            return { backend: 'memory', cached: entries.size, expired, maxEntries };
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,119 @@
+/**
+ * MySQL cache store backed by the `movies` table
+ * (`cached_video_url` / `url_expires_at` columns).
+ * Keys are movie IDs, or `video:<id>` to match rows by `video_url`.
+ * Only the main URL is stored; other streams are not persisted.
+ */
+function createMysqlStore() {
+    // Required here, so only CACHE_BACKEND=mysql connects to the database at startup
+    const db = require('../db');
+
+    /**
+     * Map a cache key to a WHERE clause, or null if the key can't be stored
+     */
+    function whereForKey(key) {
+        key = String(key);
+        if (/^\d+$/.test(key)) return { clause: 'id = ?', value: key };
+        if (key.startsWith('video:')) return { clause: 'video_url = ?', value: key.slice(6) };
+        return null;
+    }
+
+    return {
+        backend: 'mysql',
+        keepsStreams: false,
+
+        get: async function (key) {
+            const where = whereForKey(key);
+            if (!where) return null;
+
+            const [rows] = await db.query(
+                `SELECT cached_video_url, url_expires_at FROM movies WHERE ${where.clause} LIMIT 1`,
+                [where.value]
+            );
+
+            if (rows.length === 0 || !rows[0].cached_video_url || !rows[0].url_expires_at) {
+                return null;
+            }
+
+            return {
+                url: rows[0].cached_video_url,
+                expiresAt: new Date(rows[0].url_expires_at)
+            };
+        },
+
+        set: async function (key, url, expiresAt) {
+            const where = whereForKey(key);
+            if (!where) return false;
+
+            // Format date for MySQL
+            const formattedExpiry = expiresAt.toISOString().slice(0, 19).replace('T', ' ');
+
+            const [result] = await db.query(
+                `UPDATE movies SET cached_video_url = ?, url_expires_at = ? WHERE ${where.clause}`,
+                [url, formattedExpiry, where.value]
+            );
+
+            return result.affectedRows > 0;
+        },
+
+        delete: async function (key) {
+            const where = whereForKey(key);
+            if (!where) return false;
+
+            const [result] = await db.query(
+                `UPDATE movies SET cached_video_url = NULL, url_expires_at = NULL WHERE ${where.clause} AND cached_video_url IS NOT NULL`,
+                [where.value]
+            );
+
+            return result.affectedRows > 0;
+        },
+
+        purgeExpired: async function () {
+            const [result] = await db.query(
+                'UPDATE movies SET cached_video_url = NULL, url_expires_at = NULL WHERE url_expires_at < NOW()'
+            );
+
+            return result.affectedRows;
+        },
+
+        listExpiring: async function (withinMs, limit) {
+            const [rows] = await db.query(
+                `SELECT id, title, cached_video_url, url_expires_at FROM movies
+                 WHERE cached_video_url IS NOT NULL
+                 AND url_expires_at <= DATE_ADD(NOW(), INTERVAL ? SECOND)
+                 ORDER BY url_expires_at ASC
+                 LIMIT ?`,
+                [Math.ceil(withinMs / 1000), limit]
+            );
+
+            return rows.map(row => ({
+                key: String(row.id),
+                title: row.title,
+                url: row.cached_video_url,
+                expiresAt: new Date(row.url_expires_at)
+            }));
+        },
+
+        stats: async function () {
+            // Total movies
+            const [totalRows] = await db.query('SELECT COUNT(*) as count FROM movies');
+            const total = totalRows[0].count;
+
+            // Cached movies
+            const [cachedRows] = await db.query(
+                'SELECT COUNT(*) as count FROM movies WHERE cached_video_url IS NOT NULL'
+            );
+            const cached = cachedRows[0].count;
+
+            // Expired cache
+            const [expiredRows] = await db.query(
+                'SELECT COUNT(*) as count FROM movies WHERE cached_video_url IS NOT NULL AND url_expires_at < NOW()'
+            );
+            const expired = expiredRows[0].count;
+
+            return { backend: 'mysql', total, cached, expired };
+        }
+    };
+}
+
+module.exports = { createMysqlStore };
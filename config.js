@@ -0,0 +1,379 @@
+const path = require('path');
+const { compileTrust } = require('./rateLimit/clientIp');
+require('dotenv').config();
+
+/**
+ * All settings, read from the environment (and .env) once at startup.
+ * Every field names its variable, type and default; loadConfig() collects
+ * every problem and throws them together, so a bad deploy fails before the
+ * server listens. Empty variables count as unset.
+ *
+ * Types: int ({min, max}), boolean, string, enum ({values}), list
+ * (comma-separated, {item} checks each entry), url, regex, json ({check}).
+ * `secret` fields are hidden in describeConfig(). `env` may list fallbacks,
+ * first set wins; `default` may be a function of the raw environment.
+ */
+const schema = {
+    server: {
+        port: { env: 'PORT', type: 'int', min: 1, max: 65535, default: 3000 },
+        environment: { env: 'NODE_ENV', type: 'string', default: 'development' }
+    },
+    log: {
+        level: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+        format: {
+            env: 'LOG_FORMAT',
+            type: 'enum',
+            values: ['json', 'pretty'],
+            default: (env) => (env.NODE_ENV === 'production' ? 'json' : 'pretty')
+        }
+    },
+    cors: {
+        // Our own sites; API keys can allow more (see apiKeys.allowedOrigins). `*` allows any origin.
+        origins: {
+            env: 'CORS_ORIGINS',
+            type: 'list',
+            item: checkOrigin,
+            default: ['https://zinema.lk', 'https://www.zinema.lk', 'http://localhost', 'http://localhost:3000']
+        }
+    },
+    db: {
+        host: { env: 'DB_HOST', type: 'string', default: 'localhost' },
+        user: { env: 'DB_USER', type: 'string', default: 'root' },
+        password: { env: 'DB_PASSWORD', type: 'string', default: '', secret: true },
+        name: { env: 'DB_NAME', type: 'string', default: 'cinedrive' }
+    },
+    cache: {
+        backend: { env: 'CACHE_BACKEND', type: 'enum', values: ['memory', 'file', 'mysql'], default: 'memory' },
+        maxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'int', min: 1, default: 1000 },
+        filePath: { env: 'CACHE_FILE_PATH', type: 'string', default: path.join(__dirname, 'video-cache.json') },
+        verifyUrls: { env: 'CACHE_VERIFY_URLS', type: 'boolean', default: false },
+        verifyTtlMs: { env: 'CACHE_VERIFY_TTL_MS', type: 'int', min: 0, default: 60000 }
+    },
+    scraper: {
+        facebookBaseUrl: { env: 'FACEBOOK_BASE_URL', type: 'url', default: 'https://www.facebook.com' },
+        facebookCdnPattern: { env: 'FACEBOOK_CDN_PATTERN', type: 'regex', default: 'fbcdn\\.net' },
+        htmlExtraction: { env: 'HTML_EXTRACTION_ENABLED', type: 'boolean', default: true },
+        timeoutMs: { env: 'SCRAPE_TIMEOUT_MS', type: 'int', min: 1000, default: 30000 },
+        htmlFetchTimeoutMs: { env: 'HTML_FETCH_TIMEOUT_MS', type: 'int', min: 100, default: 10000 },
+        playFallbackWaitMs: { env: 'PLAY_FALLBACK_WAIT_MS', type: 'int', min: 0, default: 5000 },
+        renditionWindowMs: { env: 'RENDITION_WINDOW_MS', type: 'int', min: 0, default: 1500 },
+        urlCheckTimeoutMs: { env: 'URL_CHECK_TIMEOUT_MS', type: 'int', min: 100, default: 5000 },
+        shortLinkTimeoutMs: { env: 'SHORT_LINK_TIMEOUT_MS', type: 'int', min: 100, default: 5000 },
+        blockedRetryAfterS: { env: 'UPSTREAM_BLOCKED_RETRY_AFTER_S', type: 'int', min: 1, default: 300 },
+        jobRetentionMs: { env: 'SCRAPE_JOB_RETENTION_MS', type: 'int', min: 1000, default: 600000 }
+    },
+    generic: {
+        urlTtlHours: { env: 'GENERIC_URL_TTL_HOURS', type: 'int', min: 1, default: 6 },
+        maxPageBytes: { env: 'GENERIC_MAX_PAGE_BYTES', type: 'int', min: 1024, default: 2 * 1024 * 1024 },
+        fetchTimeoutMs: { env: 'GENERIC_FETCH_TIMEOUT_MS', type: 'int', min: 100, default: 15000 },
+        // Fetched even though they resolve to private addresses (intranet sites, test servers)
+        trustedHosts: { env: 'GENERIC_TRUSTED_HOSTS', type: 'list', default: [] },
+        // Video hosts /api/stream may proxy for generic pages (and their subdomains)
+        streamHosts: { env: 'GENERIC_STREAM_HOSTS', type: 'list', default: [] }
+    },
+    stream: {
+        upstreamTimeoutMs: { env: 'STREAM_UPSTREAM_TIMEOUT_MS', type: 'int', min: 100, default: 15000 }
+    },
+    browser: {
+        executablePath: { env: 'PUPPETEER_EXECUTABLE_PATH', type: 'string', default: '/usr/bin/google-chrome-stable' },
+        args: {
+            env: 'BROWSER_ARGS',
+            type: 'list',
+            item: (arg) => (arg.startsWith('--') ? null : 'Chrome flags start with --'),
+            default: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-gpu',
+                '--disable-notifications',
+                '--disable-extensions'
+            ]
+        },
+        poolSize: { env: 'BROWSER_POOL_SIZE', type: 'int', min: 1, default: 2 },
+        pageMaxUses: { env: 'BROWSER_PAGE_MAX_USES', type: 'int', min: 1, default: 20 }
+    },
+    scrapeQueue: {
+        delayMs: { env: 'FB_SCRAPE_DELAY_MS', type: 'int', min: 0, default: 5000 },
+        concurrency: { env: 'FB_SCRAPE_CONCURRENCY', type: 'int', min: 1, default: 1 },
+        maxQueued: { env: 'FB_SCRAPE_QUEUE_MAX', type: 'int', min: 0, default: 20 },
+        maxWaitMs: { env: 'FB_SCRAPE_QUEUE_MAX_WAIT_MS', type: 'int', min: 1, default: 60000 }
+    },
+    rateLimit: {
+        store: { env: 'RATE_LIMIT_STORE', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+        algorithm: { env: 'RATE_LIMIT_ALGORITHM', type: 'enum', values: ['fixed-window', 'sliding-log', 'token-bucket'], default: 'sliding-log' },
+        windowMs: { env: 'RATE_LIMIT_WINDOW_MS', type: 'int', min: 1, default: 60000 },
+        scrapeBudgetAlgorithm: { env: 'SCRAPE_BUDGET_ALGORITHM', type: 'enum', values: ['fixed-window', 'sliding-log', 'token-bucket'], default: 'fixed-window' },
+        scrapeBudgetWindowMs: { env: 'SCRAPE_BUDGET_WINDOW_MS', type: 'int', min: 1, default: 86400000 },
+        // /api/stream requests per client per window (players send many Range requests)
+        streamMaxRequests: { env: 'STREAM_RATE_LIMIT_MAX_REQUESTS', type: 'int', min: 1, default: 300 }
+    },
+    redis: {
+        url: { env: 'REDIS_URL', type: 'url', protocols: ['redis:', 'rediss:'], default: '', secret: 'url' },
+        keyPrefix: { env: 'REDIS_KEY_PREFIX', type: 'string', default: 'cinedrive:ratelimit:' },
+        // Unanswered commands fail after this, so the rate limiter lets requests through
+        commandTimeoutMs: { env: 'REDIS_COMMAND_TIMEOUT_MS', type: 'int', min: 10, default: 1000 }
+    },
+    anonymous: {
+        enabled: { env: 'ANONYMOUS_ACCESS', type: 'boolean', default: true },
+        maxRequests: { env: ['ANON_RATE_LIMIT_MAX_REQUESTS', 'RATE_LIMIT_MAX_REQUESTS'], type: 'int', min: 1, default: 10 },
+        scrapeBudget: { env: 'ANON_SCRAPE_BUDGET', type: 'int', min: 0, default: 100 }
+    },
+    apiKeys: {
+        file: { env: 'API_KEYS_FILE', type: 'string', default: path.join(__dirname, 'api-keys.json') },
+        defaultMaxRequests: { env: 'API_KEY_DEFAULT_MAX_REQUESTS', type: 'int', min: 1, default: 60 },
+        defaultScrapeBudget: { env: 'API_KEY_DEFAULT_SCRAPE_BUDGET', type: 'int', min: 0, default: 500 }
+    },
+    proxy: {
+        trust: { env: 'TRUST_PROXY', type: 'string', check: checkTrust, default: 'false' },
+        routes: { env: 'TRUST_PROXY_ROUTES', type: 'json', check: checkTrustRoutes, default: {} }
+    },
+    admin: {
+        token: { env: 'ADMIN_API_TOKEN', type: 'string', default: '', secret: true }
+    },
+    metrics: {
+        token: { env: 'METRICS_TOKEN', type: 'string', default: '', secret: true }
+    },
+    batch: {
+        maxVideos: { env: 'BATCH_MAX_VIDEOS', type: 'int', min: 1, default: 50 },
+        scrapeConcurrency: { env: 'BATCH_SCRAPE_CONCURRENCY', type: 'int', min: 1, default: 2 }
+    },
+    health: {
+        timeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'int', min: 100, default: 5000 },
+        scrapeWindowMs: { env: 'HEALTH_SCRAPE_WINDOW_MS', type: 'int', min: 1000, default: 900000 },
+        minScrapes: { env: 'HEALTH_MIN_SCRAPES', type: 'int', min: 1, default: 5 },
+        minSuccessPercent: { env: 'HEALTH_MIN_SUCCESS_PERCENT', type: 'int', min: 0, max: 100, default: 50 }
+    },
+    shutdown: {
+        timeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'int', min: 0, default: 25000 }
+    },
+    backgroundRefresh: {
+        enabled: { env: 'BG_REFRESH_ENABLED', type: 'boolean', default: true },
+        intervalMs: { env: 'BG_REFRESH_INTERVAL_MS', type: 'int', min: 1000, default: 3600000 },
+        beforeExpiryHours: { env: 'BG_REFRESH_BEFORE_EXPIRY_HOURS', type: 'int', min: 1, default: 2 },
+        maxPerRun: { env: 'BG_REFRESH_MAX_PER_RUN', type: 'int', min: 1, default: 5 }
+    }
+};
+
+// Settings that only make sense together
+const crossChecks = [
+    (config) => (config.rateLimit.store === 'redis' && !config.redis.url
+        ? 'REDIS_URL is required when RATE_LIMIT_STORE=redis'
+        : null),
+    (config) => (config.scraper.playFallbackWaitMs >= config.scraper.timeoutMs
+        ? 'PLAY_FALLBACK_WAIT_MS must be shorter than SCRAPE_TIMEOUT_MS'
+        : null)
+];
+
+function checkOrigin(origin) {
+    if (origin === '*') return null;
+    try {
+        const url = new URL(origin);
+        return url.origin === origin ? null : `"${origin}" is not an origin (scheme://host[:port], no path)`;
+    } catch (error) {
+        return `"${origin}" is not an origin (scheme://host[:port], no path)`;
+    }
+}
+
+function checkTrust(setting) {
+    try {
+        compileTrust(setting);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function checkTrustRoutes(routes) {
+    if (routes === null || typeof routes !== 'object' || Array.isArray(routes)) {
+        return 'must be a JSON object of path prefix -> trust proxy setting';
+    }
+    for (const [prefix, setting] of Object.entries(routes)) {
+        const problem = checkTrust(setting);
+        if (problem) return `${prefix}: ${problem}`;
+    }
+    return null;
+}
+
+/**
+ * Parse one raw value
+ * @returns {{value: *}|{error: string}}
+ */
+function parseValue(field, raw) {
+    switch (field.type) {
+        case 'int': {
+            if (!/^-?\d+$/.test(raw)) return { error: `must be an integer, got "${raw}"` };
+            const value = parseInt(raw, 10);
+            if (field.min !== undefined && value < field.min) return { error: `must be at least ${field.min}, got ${value}` };
+            if (field.max !== undefined && value > field.max) return { error: `must be at most ${field.max}, got ${value}` };
+            return { value };
+        }
+        case 'boolean': {
+            const normalized = raw.toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(normalized)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(normalized)) return { value: false };
+            return { error: `must be true or false, got "${raw}"` };
+        }
+        case 'enum':
+            return field.values.includes(raw)
+                ? { value: raw }
+                : { error: `must be one of ${field.values.join(', ')}, got "${raw}"` };
+        case 'list': {
+            const value = raw.split(',').map(item => item.trim()).filter(Boolean);
+            const problems = field.item ? value.map(field.item).filter(Boolean) : [];
+            return problems.length > 0 ? { error: problems.join('; ') } : { value };
+        }
+        case 'url': {
+            let url;
+            try {
+                url = new URL(raw);
+            } catch (error) {
+                return { error: `must be a URL, got "${raw}"` };
+            }
+            const protocols = field.protocols || ['http:', 'https:'];
+            if (!protocols.includes(url.protocol)) return { error: `must be a ${protocols.join(' or ')} URL` };
+            return { value: raw.replace(/\/+$/, '') };
+        }
+        case 'regex':
+            try {
+                new RegExp(raw);
+                return { value: raw };
+            } catch (error) {
+                return { error: `must be a regular expression (${error.message})` };
+            }
+        case 'json':
+            try {
+                return { value: JSON.parse(raw) };
+            } catch (error) {
+                return { error: `must be JSON (${error.message})` };
+            }
+        default:
+            return { value: raw };
+    }
+}
+
+function envNames(field) {
+    return Array.isArray(field.env) ? field.env : [field.env];
+}
+
+/**
+ * Walk the schema, calling visit(field, path) for every field
+ */
+function eachField(node, visit, keys = []) {
+    for (const [key, child] of Object.entries(node)) {
+        if (child.env) {
+            visit(child, [...keys, key]);
+        } else {
+            eachField(child, visit, [...keys, key]);
+        }
+    }
+}
+
+function setPath(target, keys, value) {
+    const last = keys[keys.length - 1];
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), target);
+    parent[last] = value;
+}
+
+/**
+ * Build and validate the configuration
+ * @param {object} env - Raw variables (defaults to process.env)
+ * @returns {object} - Frozen config, grouped as in the schema (e.g. config.rateLimit.windowMs)
+ * @throws {Error} - With code 'INVALID_CONFIG' and `problems` (one message per bad setting)
+ */
+function loadConfig(env = process.env) {
+    const config = {};
+    const problems = [];
+
+    eachField(schema, (field, keys) => {
+        const name = envNames(field).find(candidate => env[candidate] !== undefined && String(env[candidate]).trim() !== '');
+        let value;
+
+        if (name === undefined) {
+            value = typeof field.default === 'function' ? field.default(env) : field.default;
+        } else {
+            const parsed = parseValue(field, String(env[name]).trim());
+            if (parsed.error) {
+                problems.push(`${name} ${parsed.error}`);
+                return;
+            }
+            value = parsed.value;
+
+            const problem = field.check ? field.check(value) : null;
+            if (problem) {
+                problems.push(`${name}: ${problem}`);
+                return;
+            }
+        }
+
+        setPath(config, keys, value);
+    });
+
+    if (problems.length === 0) {
+        problems.push(...crossChecks.map(check => check(config)).filter(Boolean));
+    }
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        error.code = 'INVALID_CONFIG';
+        error.problems = problems;
+        throw error;
+    }
+
+    return deepFreeze(config);
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+function redact(field, value) {
+    if (!field.secret || value === '') return value;
+    if (field.secret !== 'url') return '[redacted]';
+
+    // Keep the host of a URL, hide its credentials
+    const url = new URL(value);
+    if (url.password) url.password = 'redacted';
+    return url.toString();
+}
+
+/**
+ * Config for support requests: secrets are redacted and `setFromEnv` lists the
+ * variables that were set (everything else is a default)
+ * @param {object} config - Result of loadConfig()
+ * @param {object} env - The environment it was loaded from
+ */
+function describeConfig(config, env = process.env) {
+    const values = {};
+    const setFromEnv = [];
+
+    eachField(schema, (field, keys) => {
+        const value = keys.reduce((node, key) => node[key], config);
+        setPath(values, keys, redact(field, value));
+
+        const name = envNames(field).find(candidate => env[candidate] !== undefined && String(env[candidate]).trim() !== '');
+        if (name) setFromEnv.push(name);
+    });
+
+    return { values, setFromEnv };
+}
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (error.code !== 'INVALID_CONFIG') throw error;
+    // Fail fast with every problem listed, before anything else starts
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// `node config.js` validates the environment and prints the redacted config
+if (require.main === module) {
+    console.log(JSON.stringify(describeConfig(config), null, 2));
+}
+
+module.exports = { config, loadConfig, describeConfig };
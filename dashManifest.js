@@ -0,0 +1,179 @@
+/**
+ * Minimal DASH (MPD) helpers: parse Facebook manifests and synthesize
+ * a static on-demand manifest from separate audio/video streams.
+ */
+
+// Used when a stream was only seen on the network and its codec is unknown
+const DEFAULT_CODECS = {
+    video: 'avc1.4d401f',
+    audio: 'mp4a.40.5'
+};
+
+function unescapeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w:]+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = unescapeXml(match[2]);
+    }
+    return attributes;
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. PT1H2M3.5S) into seconds
+ */
+function parseIsoDuration(value) {
+    const match = /^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(value || '');
+    if (!match) return null;
+    return (parseFloat(match[1] || 0) * 3600) + (parseFloat(match[2] || 0) * 60) + parseFloat(match[3] || 0);
+}
+
+/**
+ * Parse the representations of an MPD manifest
+ * @param {string} xml - MPD document
+ * @returns {Array<{url, kind, quality, height, width, bitrate, mimeType, codecs, initRange, indexRange, duration}>}
+ */
+function parseMpd(xml) {
+    const streams = [];
+    const rootMatch = /<MPD\b([^>]*)>/.exec(xml);
+    if (!rootMatch) return streams;
+
+    const duration = parseIsoDuration(parseAttributes(rootMatch[1]).mediaPresentationDuration);
+
+    const setPattern = /<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g;
+    let setMatch;
+    while ((setMatch = setPattern.exec(xml)) !== null) {
+        const setAttributes = parseAttributes(setMatch[1]);
+
+        const repPattern = /<Representation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/Representation>)/g;
+        let repMatch;
+        while ((repMatch = repPattern.exec(setMatch[2])) !== null) {
+            const attributes = { ...setAttributes, ...parseAttributes(repMatch[1]) };
+            const body = repMatch[2] || '';
+
+            const baseUrl = /<BaseURL>([\s\S]*?)<\/BaseURL>/.exec(body);
+            if (!baseUrl) continue;
+
+            const segmentBase = /<SegmentBase\b([^>]*)>/.exec(body);
+            const initialization = /<Initialization\b([^>]*)\/?>/.exec(body);
+
+            const mimeType = attributes.mimeType || '';
+            const kind = mimeType.startsWith('audio') || attributes.contentType === 'audio' ? 'audio' : 'video';
+            const height = attributes.height ? parseInt(attributes.height, 10) : null;
+            const qualityLabel = attributes.FBQualityLabel || (height ? `${height}p` : null);
+
+            streams.push({
+                url: unescapeXml(baseUrl[1].trim()),
+                kind,
+                quality: kind === 'audio' ? 'audio' : (qualityLabel || 'unknown'),
+                height,
+                width: attributes.width ? parseInt(attributes.width, 10) : null,
+                bitrate: attributes.bandwidth ? parseInt(attributes.bandwidth, 10) : null,
+                mimeType: mimeType || `${kind}/mp4`,
+                codecs: attributes.codecs || null,
+                initRange: initialization ? parseAttributes(initialization[1]).range || null : null,
+                indexRange: segmentBase ? parseAttributes(segmentBase[1]).indexRange || null : null,
+                duration
+            });
+        }
+    }
+
+    return streams;
+}
+
+/**
+ * Find an MPD manifest embedded in a page's JSON payload (`dash_manifest`)
+ * @param {string} html - Page HTML
+ * @returns {string|null} - MPD document
+ */
+function extractMpdFromHtml(html) {
+    const match = /"dash_manifest(?:_xml_string)?":("(?:[^"\\]|\\.)*")/.exec(html || '');
+    if (!match) return null;
+
+    try {
+        const xml = JSON.parse(match[1]);
+        return xml.includes('<MPD') ? xml : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function representationXml(stream, index, prefix) {
+    const kind = stream.kind === 'audio' ? 'audio' : 'video';
+    const attributes = [
+        `id="${prefix}${index}"`,
+        `mimeType="${escapeXml(stream.mimeType || `${kind}/mp4`)}"`,
+        `codecs="${escapeXml(stream.codecs || DEFAULT_CODECS[kind])}"`,
+        `bandwidth="${stream.bitrate || 0}"`
+    ];
+    if (kind === 'video' && stream.width) attributes.push(`width="${stream.width}"`);
+    if (kind === 'video' && stream.height) attributes.push(`height="${stream.height}"`);
+
+    const lines = [
+        `      <Representation ${attributes.join(' ')}>`,
+        `        <BaseURL>${escapeXml(stream.url)}</BaseURL>`
+    ];
+    if (stream.indexRange) {
+        lines.push(`        <SegmentBase indexRange="${escapeXml(stream.indexRange)}">`);
+        if (stream.initRange) {
+            lines.push(`          <Initialization range="${escapeXml(stream.initRange)}"/>`);
+        }
+        lines.push('        </SegmentBase>');
+    }
+    lines.push('      </Representation>');
+    return lines.join('\n');
+}
+
+function adaptationSetXml(contentType, streams, prefix) {
+    if (streams.length === 0) return null;
+    return [
+        `    <AdaptationSet contentType="${contentType}" segmentAlignment="true" subsegmentAlignment="true" subsegmentStartsWithSAP="1">`,
+        ...streams.map((stream, index) => representationXml(stream, index, prefix)),
+        '    </AdaptationSet>'
+    ].join('\n');
+}
+
+/**
+ * Build a static on-demand MPD from separate video and audio streams
+ * @param {Array<object>} video - Video-only streams
+ * @param {Array<object>} audio - Audio-only streams
+ * @returns {string} - MPD document
+ */
+function buildDashManifest(video, audio) {
+    const durations = [...video, ...audio].map(stream => stream.duration).filter(Boolean);
+    const duration = durations.length > 0 ? Math.max(...durations) : null;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-on-demand:2011" ' +
+        `type="static" minBufferTime="PT1.5S"${duration ? ` mediaPresentationDuration="PT${duration}S"` : ''}>`,
+        '  <Period>',
+        adaptationSetXml('video', video, 'v'),
+        adaptationSetXml('audio', audio, 'a'),
+        '  </Period>',
+        '</MPD>'
+    ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    parseMpd,
+    extractMpdFromHtml,
+    buildDashManifest
+};
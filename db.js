@@ -1,12 +1,14 @@
 const mysql = require('mysql2/promise');
-require('dotenv').config();
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { onShutdown } = require('./shutdown');
 
 // Create MySQL connection pool
 const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'cinedrive',
+    host: config.db.host,
+    user: config.db.user,
+    password: config.db.password,
+    database: config.db.name,
     waitForConnections: true,
     connectionLimit: 10,
     queueLimit: 0,
@@ -17,11 +19,13 @@ const pool = mysql.createPool({
 // Test database connection
 pool.getConnection()
     .then(connection => {
-        console.log('✅ Database connected successfully');
+        logger.info('✅ Database connected successfully');
         connection.release();
     })
     .catch(err => {
-        console.error('❌ Database connection failed:', err.message);
+        logger.error('❌ Database connection failed', { error: err });
     });
 
+onShutdown('database', () => pool.end());
+
 module.exports = pool;
@@ -0,0 +1,174 @@
+const axios = require('axios');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { hostGuard } = require('./hostGuard');
+
+const VIDEO_ID_PATTERN = /^\d{5,20}$/;
+const FACEBOOK_HOST_PATTERN = /(^|\.)(facebook\.com|fb\.com)$/i;
+const SHORT_LINK_HOST_PATTERN = /(^|\.)fb\.watch$/i;
+// FACEBOOK_BASE_URL's host counts as Facebook too (mirrors, the test fixture)
+const BASE_HOST = new URL(config.scraper.facebookBaseUrl).hostname.toLowerCase();
+
+const MAX_REDIRECTS = 5;
+const MAX_CACHED_SHORT_LINKS = 5000;
+
+// Resolved short links (Map<short URL, video ID>); short links never change target
+const shortLinkCache = new Map();
+
+/**
+ * Build the 400 error for input that is not a Facebook video
+ */
+function invalidIdentifierError(input) {
+    const error = new Error(`Not a Facebook video ID or URL: ${String(input).slice(0, 200)}`);
+    error.statusCode = 400;
+    return error;
+}
+
+function toUrl(input) {
+    const value = String(input).trim();
+    try {
+        return new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Extract the numeric video ID from a Facebook URL or bare ID, without network access.
+ * Handles watch?v=, video.php?v=, /videos/ permalinks and /reel/ links.
+ * @param {string|number} input - Video ID or URL
+ * @returns {string|null} - Numeric video ID, or null if it needs resolving or is invalid
+ */
+function parseFacebookVideoId(input) {
+    if (input === null || input === undefined) return null;
+
+    const value = String(input).trim();
+    if (VIDEO_ID_PATTERN.test(value)) return value;
+
+    const url = toUrl(value);
+    if (!url || !FACEBOOK_HOST_PATTERN.test(url.hostname)) return null;
+
+    // watch?v=ID, watch/?v=ID, video.php?v=ID
+    const queryId = url.searchParams.get('v');
+    if (queryId && VIDEO_ID_PATTERN.test(queryId)) return queryId;
+
+    // /<page>/videos/ID, /<page>/videos/<slug>/ID, /reel/ID
+    const pathMatch = url.pathname.match(/\/(?:videos(?:\/[^/]+)?|reel)\/(\d{5,20})\/?$/);
+    if (pathMatch) return pathMatch[1];
+
+    return null;
+}
+
+/**
+ * Check if the input is a short link that must be resolved via redirects
+ * (fb.watch/..., facebook.com/share/v/..., facebook.com/share/r/...)
+ */
+function isShortLink(input) {
+    const url = toUrl(input);
+    if (!url) return false;
+
+    return SHORT_LINK_HOST_PATTERN.test(url.hostname) ||
+        (FACEBOOK_HOST_PATTERN.test(url.hostname) && /^\/share\/[vr]\//.test(url.pathname));
+}
+
+/**
+ * Refuse a redirect hop outside Facebook, or onto a private address
+ * @throws {Error} - With code BLOCKED_HOST and statusCode 403
+ */
+async function checkHop(url) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    const isFacebook = FACEBOOK_HOST_PATTERN.test(hostname) || SHORT_LINK_HOST_PATTERN.test(hostname) || hostname === BASE_HOST;
+    if (!isFacebook) {
+        const error = new Error(`Short link left Facebook for ${hostname}`);
+        error.code = 'BLOCKED_HOST';
+        error.statusCode = 403;
+        throw error;
+    }
+    await hostGuard.checkUrl(url);
+}
+
+/**
+ * Follow a short link's redirects until a URL with a video ID appears.
+ * Every hop, the first included, must stay on Facebook and off private addresses.
+ * @returns {Promise<string|null>}
+ */
+async function followShortLink(shortUrl) {
+    let current = shortUrl;
+
+    for (let hop = 0; hop < MAX_REDIRECTS; hop++) {
+        await checkHop(current);
+        const response = await axios.get(current, {
+            maxRedirects: 0,
+            timeout: config.scraper.shortLinkTimeoutMs,
+            // Checks the addresses actually connected to, not just the earlier lookup
+            ...hostGuard.requestOptions,
+            validateStatus: (status) => status >= 200 && status < 400,
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+        });
+
+        const location = response.headers.location;
+        if (!location) {
+            // Landed on a page: its canonical URL names the video
+            const html = typeof response.data === 'string' ? response.data : '';
+            const canonical = html.match(/<link[^>]+rel="canonical"[^>]+href="([^"]+)"/i) ||
+                html.match(/<meta[^>]+property="og:url"[^>]+content="([^"]+)"/i);
+            return canonical ? parseFacebookVideoId(canonical[1].replace(/&amp;/g, '&')) : null;
+        }
+
+        current = new URL(location, current).toString();
+        const videoId = parseFacebookVideoId(current);
+        if (videoId) return videoId;
+    }
+
+    return null;
+}
+
+/**
+ * Turn any supported Facebook video reference into its canonical numeric ID
+ * @param {string|number} input - Video ID, watch/permalink/reel URL, fb.watch or share link
+ * @returns {Promise<string>} - Numeric video ID
+ * @throws {Error} - With statusCode 400 when the input is not a Facebook video,
+ *   403 (code BLOCKED_HOST) when a short link leaves Facebook, 502 when it can't be followed
+ */
+async function resolveFacebookVideoId(input) {
+    const videoId = parseFacebookVideoId(input);
+    if (videoId) return videoId;
+
+    if (!isShortLink(input)) {
+        throw invalidIdentifierError(input);
+    }
+
+    const shortUrl = toUrl(input).toString();
+    if (shortLinkCache.has(shortUrl)) {
+        return shortLinkCache.get(shortUrl);
+    }
+
+    let resolved = null;
+    try {
+        resolved = await followShortLink(shortUrl);
+    } catch (error) {
+        logger.warn('⚠️  Could not resolve short link', { url: shortUrl, error });
+        if (error.code === 'BLOCKED_HOST') throw error;
+        const resolveError = new Error(`Could not resolve short link: ${shortUrl}`);
+        resolveError.statusCode = 502;
+        throw resolveError;
+    }
+
+    if (!resolved) {
+        throw invalidIdentifierError(input);
+    }
+
+    logger.info('🔗 Resolved short link', { url: shortUrl, resolved });
+    shortLinkCache.set(shortUrl, resolved);
+    if (shortLinkCache.size > MAX_CACHED_SHORT_LINKS) {
+        shortLinkCache.delete(shortLinkCache.keys().next().value);
+    }
+    return resolved;
+}
+
+module.exports = {
+    parseFacebookVideoId,
+    resolveFacebookVideoId,
+    followShortLink,
+    isShortLink
+};
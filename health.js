@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { config } = require('./config');
+const browserPool = require('./browserPool');
+const { scrapeScheduler } = require('./scrapeScheduler');
+
+/**
+ * Readiness checks behind /api/health/ready. Each check resolves to
+ * {status: 'pass' | 'fail' | 'skip', ...details}; the service is ready when
+ * none failed. Checks never throw, and the slow ones (database ping, Chrome
+ * launch) give up after `timeoutMs`.
+ */
+
+// Failures caused by the video itself (or a URL we refuse to fetch), not by the scraper
+const VIDEO_FAILURES = ['LOGIN_REQUIRED', 'CONTENT_UNAVAILABLE', 'HOST_NOT_ALLOWED'];
+
+// Recent scrape outcomes kept at most (the window is also bounded in time)
+const MAX_OUTCOMES = 500;
+
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.browserPool - getStats() and getBrowser()
+ * @param {object} options.scheduler - Scrape scheduler (getStats())
+ * @param {string} options.executablePath - Chrome binary
+ * @param {Function|null} options.pingDatabase - () => Promise, null when no database is needed
+ * @param {number} options.timeoutMs - Per check
+ * @param {number} options.scrapeWindowMs - Age of the scrape outcomes that count
+ * @param {number} options.minScrapes - Outcomes needed before the success rate is judged
+ * @param {number} options.minSuccessPercent
+ */
+function createHealthChecks(options) {
+    const outcomes = []; // [{at, success}], oldest first
+
+    function recentOutcomes() {
+        const cutoff = Date.now() - options.scrapeWindowMs;
+        while (outcomes.length > 0 && outcomes[0].at < cutoff) {
+            outcomes.shift();
+        }
+        return outcomes;
+    }
+
+    async function checkBrowser() {
+        const stats = options.browserPool.getStats();
+        const pool = { activePages: stats.activePages, idlePages: stats.idlePages, waiting: stats.waiting };
+        if (stats.connected) {
+            return { status: 'pass', connected: true, ...pool };
+        }
+
+        try {
+            await fs.promises.access(options.executablePath, fs.constants.X_OK);
+        } catch (error) {
+            return { status: 'fail', connected: false, error: `Chrome not found at ${options.executablePath}` };
+        }
+
+        // Not running (never launched, or crashed): prove it can start
+        try {
+            await withTimeout(options.browserPool.getBrowser(), options.timeoutMs, 'Chrome');
+            return { status: 'pass', connected: true, launched: true, ...pool };
+        } catch (error) {
+            return { status: 'fail', connected: false, error: `Chrome failed to launch: ${error.message}` };
+        }
+    }
+
+    async function checkDatabase() {
+        if (!options.pingDatabase) {
+            return { status: 'skip', reason: 'No database-backed cache configured' };
+        }
+
+        const startedAt = Date.now();
+        try {
+            await withTimeout(options.pingDatabase(), options.timeoutMs, 'Database');
+            return { status: 'pass', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'fail', error: error.message };
+        }
+    }
+
+    function checkScrapeQueue() {
+        const stats = options.scheduler.getStats();
+        const details = {
+            running: stats.running,
+            queued: stats.queued,
+            maxConcurrency: stats.maxConcurrency,
+            maxQueueLength: stats.maxQueueLength
+        };
+
+        // A new scrape would be rejected with SCRAPE_QUEUE_FULL
+        const saturated = stats.running >= stats.maxConcurrency && stats.queued >= stats.maxQueueLength;
+        return saturated
+            ? { status: 'fail', error: 'Scrape queue is full', ...details }
+            : { status: 'pass', ...details };
+    }
+
+    function checkScrapeSuccess() {
+        const recent = recentOutcomes();
+        const succeeded = recent.filter(outcome => outcome.success).length;
+        const details = {
+            scrapes: recent.length,
+            succeeded,
+            windowMs: options.scrapeWindowMs,
+            minSuccessPercent: options.minSuccessPercent
+        };
+
+        if (recent.length < options.minScrapes) {
+            return { status: 'pass', successPercent: null, ...details };
+        }
+
+        const successPercent = Math.round((succeeded / recent.length) * 100);
+        return successPercent < options.minSuccessPercent
+            ? { status: 'fail', successPercent, error: `Only ${successPercent}% of recent scrapes succeeded`, ...details }
+            : { status: 'pass', successPercent, ...details };
+    }
+
+    return {
+        /**
+         * Note the outcome of a finished scrape
+         * @param {object|null} result - Provider result, null when the scrape threw
+         */
+        recordScrape: function (result) {
+            if (result && !result.success && VIDEO_FAILURES.includes(result.errorCode)) return;
+
+            outcomes.push({ at: Date.now(), success: Boolean(result && result.success) });
+            if (outcomes.length > MAX_OUTCOMES) outcomes.shift();
+        },
+
+        /**
+         * Run every check
+         * @returns {Promise<{ready: boolean, checks: object}>}
+         */
+        checkReadiness: async function () {
+            const [browser, database] = await Promise.all([checkBrowser(), checkDatabase()]);
+            const checks = {
+                browser,
+                database,
+                scrapeQueue: checkScrapeQueue(),
+                scrapeSuccess: checkScrapeSuccess()
+            };
+
+            const ready = Object.values(checks).every(check => check.status !== 'fail');
+            return { ready, checks };
+        }
+    };
+}
+
+const healthChecks = createHealthChecks({
+    browserPool,
+    scheduler: scrapeScheduler,
+    executablePath: config.browser.executablePath,
+    // Only the MySQL cache store needs the database (required lazily, like the store does)
+    pingDatabase: config.cache.backend === 'mysql' ? () => require('./db').query('SELECT 1') : null,
+    timeoutMs: config.health.timeoutMs,
+    scrapeWindowMs: config.health.scrapeWindowMs,
+    minScrapes: config.health.minScrapes,
+    minSuccessPercent: config.health.minSuccessPercent
+});
+
+module.exports = { createHealthChecks, healthChecks };
@@ -0,0 +1,114 @@
+const dns = require('dns');
+const net = require('net');
+const { config } = require('./config');
+
+/**
+ * Keeps server-side fetches of caller-supplied URLs (the generic provider)
+ * away from loopback, private, link-local and cloud metadata addresses.
+ * Hostnames are checked when they are resolved, so every redirect hop and
+ * every connection is covered; IP literals are checked up front and on
+ * each redirect, since Node connects to them without a lookup.
+ */
+
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for loopback, private, link-local (incl. metadata), multicast and reserved ranges
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedHostError(host) {
+    const error = new Error(`Refusing to fetch ${host}: it is a local or private address`);
+    error.code = 'BLOCKED_HOST';
+    error.statusCode = 403;
+    return error;
+}
+
+/**
+ * @param {{trustedHosts: Array<string>}} options - Hosts fetched even when they
+ *   resolve to private addresses (intranet sites, test servers)
+ */
+function createHostGuard(options) {
+    const trustedHosts = new Set(options.trustedHosts.map(host => host.toLowerCase()));
+
+    function isTrusted(hostname) {
+        return trustedHosts.has(hostname.toLowerCase().replace(/^\[|\]$/g, ''));
+    }
+
+    // Drop-in for dns.lookup that fails on blocked addresses
+    function lookup(hostname, lookupOptions, callback) {
+        dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            if (!isTrusted(hostname) && addresses.some(entry => isPrivateAddress(entry.address))) {
+                return callback(blockedHostError(hostname));
+            }
+            if (lookupOptions.all) return callback(null, addresses);
+            return callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    function checkIpLiteral(hostname) {
+        const address = hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(address) && !isTrusted(address) && isPrivateAddress(address)) {
+            throw blockedHostError(address);
+        }
+    }
+
+    return {
+        /**
+         * Options for axios requests: a guarded DNS lookup and a redirect check
+         */
+        requestOptions: {
+            lookup,
+            beforeRedirect: (redirectOptions) => checkIpLiteral(redirectOptions.hostname || '')
+        },
+
+        /**
+         * Check a URL before fetching or returning it
+         * @param {string|URL} url
+         * @returns {Promise<void>} - Rejects with code BLOCKED_HOST (statusCode 403),
+         *   or with the DNS error when the host doesn't resolve
+         */
+        checkUrl: async function (url) {
+            const { hostname } = new URL(url);
+            checkIpLiteral(hostname);
+            if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return;
+
+            await new Promise((resolve, reject) => {
+                lookup(hostname, {}, (error) => (error ? reject(error) : resolve()));
+            });
+        },
+
+        /**
+         * @param {string} url
+         * @returns {Promise<boolean>} - Whether checkUrl() passes
+         */
+        isAllowed: async function (url) {
+            try {
+                await this.checkUrl(url);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+    };
+}
+
+const hostGuard = createHostGuard({ trustedHosts: config.generic.trustedHosts });
+
+module.exports = { createHostGuard, hostGuard, isPrivateAddress };
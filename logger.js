@@ -0,0 +1,107 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+/**
+ * Structured logger with levels. Each line carries the ID of the request
+ * being handled (see runWithRequestId), so concurrent scrapes can be told
+ * apart. LOG_FORMAT=json writes one JSON object per line; `pretty` (the
+ * default outside production) keeps the readable emoji messages.
+ *
+ * Lines go through console.log / console.error so they land wherever the
+ * console does.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+const LOG_LEVEL = config.log.level;
+const LOG_FORMAT = config.log.format;
+
+/**
+ * Run `fn` with a request ID that every log line written inside it picks up
+ * (including from timers and promises started there)
+ */
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * @returns {string|null} - ID of the request being handled, if any
+ */
+function getRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+}
+
+/**
+ * Errors don't serialize to JSON on their own
+ */
+function serializeError(error) {
+    const fields = { message: error.message, name: error.name };
+    if (error.errorCode) fields.errorCode = error.errorCode;
+    if (error.statusCode) fields.statusCode = error.statusCode;
+    if (error.code) fields.code = error.code;
+    if (LOG_LEVEL === 'debug') fields.stack = error.stack;
+    return fields;
+}
+
+function serializeFields(fields) {
+    const out = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        out[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return out;
+}
+
+function formatPretty(level, message, fields) {
+    const { requestId, ...rest } = fields;
+    const prefix = requestId ? `[${requestId}] ` : '';
+    const details = Object.entries(rest)
+        .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+        .join(' ');
+    const label = level === 'warn' || level === 'error' ? `${level.toUpperCase()} ` : '';
+    return `${label}${prefix}${message}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Create a logger whose lines carry `bindings` (e.g. {component: 'cache'})
+ * @param {object} bindings
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} -
+ *   each level is called as (message, fields?)
+ */
+function createLogger(bindings = {}) {
+    function write(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+        const requestId = getRequestId();
+        const entry = serializeFields({ ...bindings, ...(requestId ? { requestId } : {}), ...fields });
+        const line = LOG_FORMAT === 'json'
+            ? JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...entry })
+            : formatPretty(level, message, entry);
+
+        if (LEVELS[level] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        // A child remembers the request it was created in, for callbacks that run
+        // outside the request's context (e.g. browser page events)
+        child: (childBindings) => {
+            const requestId = getRequestId();
+            return createLogger({ ...bindings, ...(requestId ? { requestId } : {}), ...childBindings });
+        }
+    };
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, runWithRequestId, getRequestId };
@@ -0,0 +1,219 @@
+const { logger } = require('./logger');
+
+/**
+ * Prometheus metrics (text exposition format 0.0.4), without a client library.
+ * Counters and histograms are updated as things happen; values owned by
+ * other modules (browser pool, cache, scrape queue) come from collectors
+ * that run on every scrape of /metrics.
+ */
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const SCRAPE_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 45, 60, 90];
+
+const metrics = new Map(); // Map<name, metric>, in registration order
+const collectors = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Pick the metric's labels in a fixed order (missing ones become '')
+ */
+function labelsFor(metric, labels = {}) {
+    const picked = {};
+    for (const name of metric.labelNames) {
+        picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    return picked;
+}
+
+function register(metric) {
+    if (metrics.has(metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+}
+
+/**
+ * Create a counter
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} labelNames
+ * @returns {{inc: Function}} - inc(labels, value = 1)
+ */
+function counter(name, help, labelNames = []) {
+    const series = new Map(); // Map<labelKey, {labels, value}>
+
+    return register({
+        name,
+        help,
+        type: 'counter',
+        labelNames,
+
+        inc: function (labels, value = 1) {
+            const picked = labelsFor(this, labels);
+            const key = JSON.stringify(picked);
+            const entry = series.get(key) || { labels: picked, value: 0 };
+            entry.value += value;
+            series.set(key, entry);
+        },
+
+        samples: function () {
+            return [...series.values()].map(({ labels, value }) => ({ name, labels, value }));
+        }
+    });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} labelNames
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {{observe: Function}} - observe(labels, value)
+ */
+function histogram(name, help, labelNames, buckets) {
+    const series = new Map(); // Map<labelKey, {labels, counts, sum, count}>
+
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        labelNames,
+
+        observe: function (labels, value) {
+            const picked = labelsFor(this, labels);
+            const key = JSON.stringify(picked);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+
+        samples: function () {
+            const out = [];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    out.push({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+                });
+                out.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+                out.push({ name: `${name}_sum`, labels, value: sum });
+                out.push({ name: `${name}_count`, labels, value: count });
+            }
+            return out;
+        }
+    });
+}
+
+/**
+ * Add a collector for values owned elsewhere
+ * @param {Function} collect - () => Array<{name, help, type: 'gauge'|'counter', samples: Array<{labels?, value}>}>
+ */
+function addCollector(collect) {
+    collectors.push(collect);
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string}
+ */
+function renderMetrics() {
+    const families = [...metrics.values()].map(metric => ({
+        name: metric.name,
+        help: metric.help,
+        type: metric.type,
+        samples: metric.samples()
+    }));
+
+    for (const collect of collectors) {
+        try {
+            for (const family of collect()) {
+                families.push({
+                    ...family,
+                    samples: family.samples.map(sample => ({ name: family.name, labels: sample.labels || {}, value: sample.value }))
+                });
+            }
+        } catch (error) {
+            logger.error('❌ Metrics collector failed', { error });
+        }
+    }
+
+    const lines = [];
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        for (const sample of family.samples) {
+            lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(Number(sample.value))}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// API
+const httpRequests = counter('cinedrive_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('cinedrive_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route'], HTTP_BUCKETS);
+const rateLimitRejections = counter('cinedrive_rate_limit_rejections_total', 'Requests rejected by a rate limit (requests, scrape_budget, streams)', ['limiter']);
+
+// Scrapes
+const scrapes = counter('cinedrive_scrapes_total', 'Scrapes by provider and result (success or error code)', ['provider', 'result']);
+const scrapeDuration = histogram(
+    'cinedrive_scrape_duration_seconds',
+    'Scrape duration by provider and capture method (html, network, play, src, direct; none when nothing was captured)',
+    ['provider', 'method', 'outcome'],
+    SCRAPE_BUCKETS
+);
+
+/**
+ * Record a finished HTTP request
+ * @param {string} route - Route pattern (e.g. /api/video/:movieId), never the raw path
+ */
+function recordRequest(method, route, status, seconds) {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * Record a finished scrape (time in the scrape queue not included)
+ * @param {string} provider - Provider name
+ * @param {string|null} method - Capture method reported by the scraper
+ * @param {object} result - Scrape result ({success, errorCode?})
+ */
+function recordScrape(provider, method, result, seconds) {
+    const success = Boolean(result && result.success);
+    scrapes.inc({ provider, result: success ? 'success' : (result && result.errorCode) || 'SCRAPE_FAILED' });
+    scrapeDuration.observe({ provider, method: method || 'none', outcome: success ? 'success' : 'failure' }, seconds);
+}
+
+function recordRateLimitRejection(limiter) {
+    rateLimitRejections.inc({ limiter });
+}
+
+module.exports = {
+    counter,
+    histogram,
+    addCollector,
+    renderMetrics,
+    recordRequest,
+    recordScrape,
+    recordRateLimitRejection
+};
@@ -0,0 +1,45 @@
+/**
+ * Get a movie by ID
+ * @param {number} movieId - Movie ID
+ * @returns {Promise<{id: number, title: string, video_url: string|null}|null>} - Null if not found
+ */
+async function getMovieById(movieId) {
+    // Required lazily so the stateless scrape endpoint works without a database
+    const db = require('./db');
+
+    const [rows] = await db.query(
+        'SELECT id, title, video_url FROM movies WHERE id = ?',
+        [movieId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Get movies whose cached URL expires within the given window,
+ * most viewed first, then soonest to expire
+ * @param {number} hours - Expiry window in hours
+ * @param {number} limit - Max movies to return
+ * @returns {Promise<Array<{id: number, title: string, video_url: string, url_expires_at: Date}>>}
+ */
+async function getMoviesExpiringWithin(hours, limit) {
+    const db = require('./db');
+
+    const [rows] = await db.query(
+        `SELECT id, title, video_url, url_expires_at FROM movies
+         WHERE video_url IS NOT NULL
+         AND cached_video_url IS NOT NULL
+         AND url_expires_at > NOW()
+         AND url_expires_at <= DATE_ADD(NOW(), INTERVAL ? HOUR)
+         ORDER BY views DESC, url_expires_at ASC
+         LIMIT ?`,
+        [hours, limit]
+    );
+
+    return rows;
+}
+
+module.exports = {
+    getMovieById,
+    getMoviesExpiringWithin
+};
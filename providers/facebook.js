@@ -0,0 +1,37 @@
+const { scrapeFacebookVideo, extractExpiration, isFacebookCdnUrl } = require('../videoScraper');
+const { parseFacebookVideoId, resolveFacebookVideoId, isShortLink } = require('../facebookVideoId');
+
+/**
+ * Facebook videos: read from the watch page HTML, or scraped in a pooled
+ * browser by intercepting fbcdn requests
+ */
+const facebookProvider = {
+    name: 'facebook',
+    rateLimited: true,
+
+    match: function (input) {
+        return parseFacebookVideoId(input) !== null || isShortLink(input);
+    },
+
+    normalize: function (input) {
+        return resolveFacebookVideoId(input);
+    },
+
+    key: function (input) {
+        return parseFacebookVideoId(input) || String(input).trim().toLowerCase();
+    },
+
+    resolve: function (videoId, options = {}) {
+        return scrapeFacebookVideo(videoId, options.onProgress);
+    },
+
+    computeExpiry: function (url) {
+        return extractExpiration(url);
+    },
+
+    isStreamUrl: function (url) {
+        return isFacebookCdnUrl(url);
+    }
+};
+
+module.exports = facebookProvider;
@@ -0,0 +1,349 @@
+const axios = require('axios');
+const { buildRenditionResult, decodeRendition } = require('../videoScraper');
+const { scrapeFailure, classifyRequestError } = require('../scrapeErrors');
+const { config } = require('../config');
+const { logger } = require('../logger');
+const { hostGuard } = require('../hostGuard');
+
+// Expiry assumed for URLs that don't carry one (hours)
+const DEFAULT_TTL_HOURS = config.generic.urlTtlHours;
+// Pages larger than this are not scanned for video tags
+const MAX_PAGE_BYTES = config.generic.maxPageBytes;
+// Hosts /api/stream may proxy; any site can embed a video, so none by default
+const STREAM_HOSTS = config.generic.streamHosts.map(host => host.toLowerCase());
+
+// Facebook URLs belong to the Facebook provider, even when they aren't videos
+const EXCLUDED_HOST_PATTERN = /(^|\.)(facebook\.com|fb\.com|fb\.watch)$/i;
+const MEDIA_PATH_PATTERN = /\.(mp4|m4v|webm|mov|m3u8|mpd)$/i;
+const VIDEO_META_NAMES = ['og:video:secure_url', 'og:video:url', 'og:video', 'twitter:player:stream'];
+
+// Parsing limits, so a hostile page can't hold the event loop
+const MAX_TAG_LENGTH = 4096;  // Longer tags are skipped
+const MAX_TAGS = 2000;        // <meta>, <video> and <source> tags read per page
+const MAX_PARSE_MS = 250;
+
+function toHttpUrl(input) {
+    try {
+        const url = new URL(String(input).trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a tag's attributes (quoted or bare values, names lowercased).
+ * A single forward pass: regexes with backtracking get slow on hostile input.
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    const length = source.length;
+    const isSpace = (char) => char === ' ' || char === '\n' || char === '\t' || char === '\r' || char === '\f';
+    let i = 0;
+
+    while (i < length) {
+        while (i < length && (isSpace(source[i]) || source[i] === '/')) i++;
+        const nameStart = i;
+        while (i < length && !isSpace(source[i]) && !'/="\''.includes(source[i])) i++;
+        const name = source.slice(nameStart, i).toLowerCase();
+        if (!name) {
+            i++; // Stray quote or '='
+            continue;
+        }
+
+        while (i < length && isSpace(source[i])) i++;
+        if (source[i] !== '=') continue; // Attribute without a value
+        i++;
+        while (i < length && isSpace(source[i])) i++;
+
+        let value;
+        const quote = source[i];
+        if (quote === '"' || quote === '\'') {
+            const close = source.indexOf(quote, i + 1);
+            const end = close === -1 ? length : close;
+            value = source.slice(i + 1, end);
+            i = end + 1;
+        } else {
+            const valueStart = i;
+            while (i < length && !isSpace(source[i])) i++;
+            value = source.slice(valueStart, i);
+        }
+
+        if (/^[\w:-]+$/.test(name)) {
+            attributes[name] = decodeEntities(value);
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Find every `<name ...>` tag, scanning forward only so the time stays
+ * linear in the page size
+ * @param {{spend: Function}} budget - Returns false once the parse limits are reached
+ * @returns {Array<{start: number, end: number, attributes: string}>} - `end` is past the '>'
+ */
+function findTags(html, name, budget) {
+    const opening = new RegExp(`<${name}\\b`, 'gi');
+    const tags = [];
+    let match;
+    while ((match = opening.exec(html)) !== null) {
+        const attributesStart = match.index + match[0].length;
+        const close = html.indexOf('>', attributesStart);
+        if (close === -1) break; // No later tag can be closed either
+
+        if (close - attributesStart <= MAX_TAG_LENGTH) {
+            tags.push({ start: match.index, end: close + 1, attributes: html.slice(attributesStart, close) });
+        }
+        opening.lastIndex = close + 1;
+        if (!budget.spend()) break;
+    }
+    return tags;
+}
+
+/**
+ * Read a height from the attributes players commonly use (size, res, label="720p", ...)
+ */
+function heightFromAttributes(attributes) {
+    for (const name of ['height', 'size', 'res', 'data-res', 'data-quality', 'label']) {
+        const match = /^(\d{3,4})p?$/i.exec((attributes[name] || '').trim());
+        if (match) return parseInt(match[1], 10);
+    }
+    return null;
+}
+
+function toStream(src, baseUrl, tagHeight) {
+    if (!src) return null;
+    try {
+        const url = new URL(src.trim(), baseUrl);
+        if (!['http:', 'https:'].includes(url.protocol)) return null; // blob:, data:
+
+        // Without a tag attribute, file names like clip_720p.mp4 still tell the height
+        const height = tagHeight || decodeRendition(url.toString()).height;
+        return {
+            url: url.toString(),
+            kind: 'muxed',
+            quality: height ? `${height}p` : 'unknown',
+            height,
+            bitrate: null
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Find video streams in a page's og:video meta tags and <video>/<source> elements
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, for relative sources
+ * @returns {Array<{url, kind, quality, height, bitrate}>}
+ */
+function extractVideoStreams(html, baseUrl) {
+    const found = [];
+    const deadline = Date.now() + MAX_PARSE_MS;
+    let tagsLeft = MAX_TAGS;
+    const budget = { spend: () => --tagsLeft > 0 && Date.now() < deadline };
+
+    const metas = findTags(html, 'meta', budget).map(tag => parseAttributes(tag.attributes));
+    const metaHeight = metas.find(meta => (meta.property || meta.name) === 'og:video:height');
+    const ogHeight = metaHeight ? parseInt(metaHeight.content, 10) || null : null;
+    for (const meta of metas) {
+        if (VIDEO_META_NAMES.includes(meta.property || meta.name)) {
+            found.push(toStream(meta.content, baseUrl, ogHeight));
+        }
+    }
+
+    // A <video>'s <source> children run to its </video>, or to the next <video> when it isn't closed
+    const videos = findTags(html, 'video', budget);
+    const closings = [];
+    const closingPattern = /<\/video\s*>/gi;
+    let match;
+    while ((match = closingPattern.exec(html)) !== null) {
+        closings.push(match.index);
+    }
+
+    let nextClosing = 0;
+    videos.forEach((video, index) => {
+        const videoAttributes = parseAttributes(video.attributes);
+        found.push(toStream(videoAttributes.src, baseUrl, heightFromAttributes(videoAttributes)));
+
+        while (nextClosing < closings.length && closings[nextClosing] < video.end) nextClosing++;
+        const nextVideo = index + 1 < videos.length ? videos[index + 1].start : html.length;
+        const end = Math.min(nextClosing < closings.length ? closings[nextClosing] : html.length, nextVideo);
+
+        for (const source of findTags(html.slice(video.end, end), 'source', budget)) {
+            const attributes = parseAttributes(source.attributes);
+            const type = attributes.type || '';
+            if (type && !/^(video\/|application\/(x-mpegurl|vnd\.apple\.mpegurl|dash\+xml))/i.test(type)) continue;
+            found.push(toStream(attributes.src, baseUrl, heightFromAttributes(attributes)));
+        }
+    });
+
+    // Same file listed twice (e.g. og:video and <video src>): keep the entry with a height
+    const streams = new Map();
+    for (const stream of found.filter(Boolean)) {
+        const existing = streams.get(stream.url);
+        if (!existing || (!existing.height && stream.height)) {
+            streams.set(stream.url, stream);
+        }
+    }
+    return [...streams.values()];
+}
+
+/**
+ * Read a response stream into a string, giving up past `limit` bytes
+ */
+function readBody(stream, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                stream.destroy();
+                reject(new Error(`Page is larger than ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Any other web page that embeds a video with standard tags, or a direct media URL.
+ * Pages, redirects and the video URLs found on them must not point into our
+ * own network (see hostGuard.js).
+ */
+const genericProvider = {
+    name: 'generic',
+    rateLimited: false,
+
+    match: function (input) {
+        const url = toHttpUrl(input);
+        return url !== null && !EXCLUDED_HOST_PATTERN.test(url.hostname);
+    },
+
+    normalize: async function (input) {
+        const url = toHttpUrl(input);
+        if (!url || EXCLUDED_HOST_PATTERN.test(url.hostname)) {
+            const error = new Error(`Not a web page URL: ${String(input).slice(0, 200)}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        try {
+            await hostGuard.checkUrl(url);
+        } catch (error) {
+            // Unknown hosts are as unusable as unreachable short links
+            if (!error.statusCode) error.statusCode = 502;
+            throw error;
+        }
+
+        url.hash = '';
+        return url.toString();
+    },
+
+    key: function (input) {
+        const url = toHttpUrl(input);
+        if (!url) return String(input).trim();
+        url.hash = '';
+        return url.toString();
+    },
+
+    resolve: async function (pageUrl, options = {}) {
+        const onProgress = options.onProgress || (() => { });
+
+        try {
+            logger.info('🔍 Scraping (Generic)', { url: pageUrl });
+            await hostGuard.checkUrl(pageUrl);
+
+            if (MEDIA_PATH_PATTERN.test(new URL(pageUrl).pathname)) {
+                onProgress('capture', { method: 'direct' });
+                return { ...buildRenditionResult([toStream(pageUrl, pageUrl, null)], genericProvider.computeExpiry), strategy: 'direct' };
+            }
+
+            onProgress('navigating', { url: pageUrl });
+            const response = await axios.get(pageUrl, {
+                responseType: 'stream',
+                timeout: config.generic.fetchTimeoutMs,
+                maxRedirects: 5,
+                // Every hop and connection is checked against the host guard
+                ...hostGuard.requestOptions,
+                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+            });
+
+            // The URL itself was a video without a telling extension
+            const contentType = response.headers['content-type'] || '';
+            const finalUrl = response.request.res.responseUrl || pageUrl;
+            if (/^video\//i.test(contentType)) {
+                response.data.destroy();
+                onProgress('capture', { method: 'direct' });
+                return { ...buildRenditionResult([toStream(finalUrl, finalUrl, null)], genericProvider.computeExpiry), strategy: 'direct' };
+            }
+
+            const html = await readBody(response.data, MAX_PAGE_BYTES);
+            const found = extractVideoStreams(html, finalUrl);
+            // A page may point its video tags anywhere; only return what we'd fetch ourselves
+            const allowed = await Promise.all(found.map(stream => hostGuard.isAllowed(stream.url)));
+            const streams = found.filter((stream, index) => allowed[index]);
+            if (found.length > streams.length) {
+                logger.warn('🚫 Dropped video URLs pointing at private hosts', { url: pageUrl, dropped: found.length - streams.length });
+            }
+            if (streams.length === 0) {
+                return scrapeFailure('NO_MEDIA_CAPTURED', 'No video tag found on page');
+            }
+
+            onProgress('capture', { method: 'html' });
+            return { ...buildRenditionResult(streams, genericProvider.computeExpiry), strategy: 'html' };
+        } catch (error) {
+            return scrapeFailure(classifyRequestError(error), error.message);
+        }
+    },
+
+    /**
+     * Read the expiry of common signed URL formats (CloudFront/Akamai `Expires`,
+     * S3 `X-Amz-Date` + `X-Amz-Expires`), else assume GENERIC_URL_TTL_HOURS
+     */
+    computeExpiry: function (url) {
+        try {
+            const params = new URL(url).searchParams;
+
+            for (const name of ['Expires', 'expires', 'exp']) {
+                const value = params.get(name);
+                if (value && /^\d{9,11}$/.test(value)) {
+                    return new Date(parseInt(value, 10) * 1000);
+                }
+            }
+
+            const amzDate = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(params.get('X-Amz-Date') || '');
+            const amzExpires = parseInt(params.get('X-Amz-Expires'), 10);
+            if (amzDate && amzExpires) {
+                const signedAt = Date.UTC(amzDate[1], amzDate[2] - 1, amzDate[3], amzDate[4], amzDate[5], amzDate[6]);
+                return new Date(signedAt + amzExpires * 1000);
+            }
+        } catch (e) {
+            // Not a URL: fall through to the default
+        }
+        return new Date(Date.now() + DEFAULT_TTL_HOURS * 60 * 60 * 1000);
+    },
+
+    isStreamUrl: function (url) {
+        const parsed = toHttpUrl(url);
+        if (!parsed) return false;
+
+        const hostname = parsed.hostname.toLowerCase();
+        return STREAM_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    }
+};
+
+module.exports = genericProvider;
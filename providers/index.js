@@ -0,0 +1,199 @@
+const { EventEmitter } = require('events');
+const { scrapeFailure } = require('../scrapeErrors');
+const { scrapeScheduler } = require('../scrapeScheduler');
+const { recordScrape } = require('../metrics');
+const { healthChecks } = require('../health');
+const { logger, getRequestId } = require('../logger');
+const facebookProvider = require('./facebook');
+const genericProvider = require('./generic');
+
+/**
+ * Scraper provider interface:
+ *   name                        -> reported to API callers as `provider`
+ *   rateLimited                 -> whether scrapes wait their turn in the Facebook scrape queue
+ *   match(input)                -> boolean, cheap offline check of an ID or URL
+ *   normalize(input)            -> Promise<canonical id> (may follow short links),
+ *                                  throws an Error with statusCode 400 for unusable input
+ *   key(input)                  -> canonical id when it can be derived offline
+ *   resolve(id, {onProgress})   -> Promise<{success, url, quality, type, expiresAt, renditions, streams, ...}>
+ *   computeExpiry(url)          -> Date the stream URL stops working
+ *   isStreamUrl(url)            -> boolean, whether /api/stream may proxy the URL (the provider's CDN)
+ */
+
+// Checked in order; the generic provider accepts any web page, so it stays last
+const providers = [facebookProvider, genericProvider];
+
+/**
+ * Add a provider, ahead of the generic fallback
+ * @param {object} provider - See the interface above
+ */
+function registerProvider(provider) {
+    providers.splice(providers.length - 1, 0, provider);
+}
+
+/**
+ * Find the provider for a video ID or URL
+ * @returns {object|null}
+ */
+function findProvider(input) {
+    if (input === null || input === undefined || String(input).trim() === '') return null;
+    return providers.find(provider => provider.match(input)) || null;
+}
+
+/**
+ * Pick the provider for an input and turn it into that provider's canonical ID
+ * @param {string|number} input - Video ID or URL
+ * @returns {Promise<{provider: object, id: string}>}
+ * @throws {Error} - With statusCode 400 when no provider accepts the input
+ */
+async function resolveSource(input) {
+    const provider = findProvider(input);
+    if (!provider) {
+        const error = new Error(`No provider for video: ${String(input).slice(0, 200)}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return { provider, id: await provider.normalize(input) };
+}
+
+function listProviders() {
+    return providers.map(provider => provider.name);
+}
+
+// In-flight scrapes (Map<provider:videoKey, {promise, progress}>) so concurrent callers share one job
+const inFlightScrapes = new Map();
+
+function scrapeKey(provider, input) {
+    return `${provider.name}:${provider.key(input)}`;
+}
+
+/**
+ * Check if a scrape for this video is already running
+ * @param {string|number} videoIdentifier - Video ID or URL
+ * @returns {boolean}
+ */
+function isScrapeInFlight(videoIdentifier) {
+    const provider = findProvider(videoIdentifier);
+    return provider !== null && inFlightScrapes.has(scrapeKey(provider, videoIdentifier));
+}
+
+/**
+ * Run a rate-limited provider's scrape through the scrape queue, reporting
+ * its position as 'queued' stages. The result gets `queue: {position, waitedMs}`
+ * when it had to wait, or is a SCRAPE_QUEUE_FULL / SCRAPE_QUEUE_TIMEOUT failure.
+ */
+function scheduleScrape(run, onProgress, maxWaitMs) {
+    let firstPosition = null;
+
+    return scrapeScheduler.schedule(run, {
+        maxWaitMs,
+        onPosition: (position) => {
+            if (firstPosition === null) firstPosition = position;
+            onProgress('queued', { position });
+        }
+    }).then(
+        result => (firstPosition === null ? result : { ...result, queue: { position: firstPosition, waitedMs: result.waitedMs } }),
+        error => {
+            if (!error.errorCode) throw error;
+            return scrapeFailure(error.errorCode, error.message);
+        }
+    );
+}
+
+/**
+ * Scrape a fresh video URL with the matching provider. Concurrent calls
+ * for the same video wait on the same in-flight scrape and receive its result.
+ * Scrapes for rate-limited providers wait in the scrape queue first.
+ * @param {string} videoIdentifier - Video ID or URL
+ * @param {{onProgress?: Function, maxWaitMs?: number}} options - Stage listener, called as
+ *   onProgress(stage, data); how long a new scrape may wait in the queue
+ * @returns {Promise<object>} - The provider's result plus `provider` (its name)
+ */
+function getFreshVideoUrl(videoIdentifier, options = {}) {
+    const provider = findProvider(videoIdentifier);
+    if (!provider) {
+        return Promise.resolve(scrapeFailure('CONTENT_UNAVAILABLE', 'No provider for this video'));
+    }
+
+    const key = scrapeKey(provider, videoIdentifier);
+    let scrape = inFlightScrapes.get(key);
+    const isNew = !scrape;
+
+    if (isNew) {
+        scrape = { promise: null, progress: new EventEmitter(), requestId: getRequestId() };
+        inFlightScrapes.set(key, scrape);
+    } else {
+        logger.info('🔗 Joining in-flight scrape', { scrape: key, scrapeRequestId: scrape.requestId });
+    }
+
+    // Subscribe before the scrape starts so no stage is missed
+    const listener = options.onProgress;
+    if (listener) {
+        scrape.progress.on('stage', listener);
+    }
+
+    if (isNew) {
+        const onProgress = (stage, data = {}) => scrape.progress.emit('stage', stage, data);
+
+        // Scrape by canonical ID so URL inputs still produce a valid watch URL
+        const id = provider.key(videoIdentifier);
+        const run = ({ waitedMs } = {}) => {
+            // Time the scrape itself (not its queue wait) and note which capture method won
+            const startedAt = Date.now();
+            let method = null;
+            const trackProgress = (stage, data = {}) => {
+                if (stage === 'capture' && data.method) method = data.method;
+                onProgress(stage, data);
+            };
+
+            return provider.resolve(id, { onProgress: trackProgress }).then(
+                (result) => {
+                    recordScrape(provider.name, method, result, (Date.now() - startedAt) / 1000);
+                    healthChecks.recordScrape(result);
+                    return { ...result, waitedMs };
+                },
+                (error) => {
+                    recordScrape(provider.name, method, null, (Date.now() - startedAt) / 1000);
+                    healthChecks.recordScrape(null);
+                    throw error;
+                }
+            );
+        };
+
+        const result = provider.rateLimited ? scheduleScrape(run, onProgress, options.maxWaitMs) : run();
+
+        scrape.promise = result.then(
+            ({ waitedMs, ...rest }) => ({ ...rest, provider: provider.name })
+        ).finally(() => {
+            inFlightScrapes.delete(key);
+        });
+    }
+
+    if (listener) {
+        const unsubscribe = () => scrape.progress.off('stage', listener);
+        scrape.promise.then(unsubscribe, unsubscribe);
+    }
+
+    return scrape.promise;
+}
+
+/**
+ * Wait until no scrape is running (scrapes started meanwhile are waited for too)
+ * @returns {Promise<void>}
+ */
+async function waitForInFlightScrapes() {
+    while (inFlightScrapes.size > 0) {
+        await Promise.allSettled([...inFlightScrapes.values()].map(scrape => scrape.promise));
+    }
+}
+
+module.exports = {
+    getFreshVideoUrl,
+    isScrapeInFlight,
+    waitForInFlightScrapes,
+    findProvider,
+    resolveSource,
+    registerProvider,
+    listProviders
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * Rate limit algorithms. Each counts one hit for `key` against `limit` hits
+ * per `windowMs` and returns
+ * `{allowed, limit, remaining, resetTime, retryAfter?}` (resetTime in ms since
+ * the epoch, retryAfter in seconds, only when not allowed).
+ */
+
+function denied(limit, resetTime, now) {
+    return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        resetTime,
+        retryAfter: Math.max(1, Math.ceil((resetTime - now) / 1000))
+    };
+}
+
+/**
+ * Fixed window: one counter per window. Cheap, but a client can send
+ * `limit` hits at the end of one window and `limit` more at the start of the next.
+ */
+async function fixedWindow(store, key, limit, windowMs, now) {
+    const { count, expiresAt } = await store.increment(key, windowMs);
+
+    if (count > limit) {
+        return denied(limit, expiresAt, now);
+    }
+    return { allowed: true, limit, remaining: limit - count, resetTime: expiresAt };
+}
+
+/**
+ * Sliding log: keeps the time of every hit in the last `windowMs`, so there
+ * are never more than `limit` hits in any window. Denied hits are not kept.
+ */
+async function slidingLog(store, key, limit, windowMs, now) {
+    const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+    const { count, oldest } = await store.addToLog(key, member, now, windowMs);
+
+    if (count > limit) {
+        await store.removeFromLog(key, member);
+        return denied(limit, oldest + windowMs, now);
+    }
+    return { allowed: true, limit, remaining: limit - count, resetTime: oldest + windowMs };
+}
+
+/**
+ * Token bucket: holds up to `limit` tokens, refilled continuously at
+ * `limit` per `windowMs`. Allows bursts of `limit`, then a steady rate.
+ * `resetTime` is when the bucket is full again (when denied: the next token).
+ */
+async function tokenBucket(store, key, limit, windowMs, now) {
+    const refillPerMs = limit / windowMs;
+
+    return store.update(key, windowMs, (state) => {
+        let tokens = limit;
+        if (state) {
+            const elapsed = Math.max(0, now - state.updatedAt);
+            tokens = Math.min(limit, state.tokens + elapsed * refillPerMs);
+        }
+
+        const allowed = tokens >= 1;
+        if (allowed) tokens -= 1;
+
+        // Denied hits wait for the next whole token
+        const result = allowed
+            ? { allowed: true, limit, remaining: Math.floor(tokens), resetTime: now + Math.ceil((limit - tokens) / refillPerMs) }
+            : denied(limit, now + Math.ceil((1 - tokens) / refillPerMs), now);
+
+        return { state: { tokens, updatedAt: now }, result };
+    });
+}
+
+const ALGORITHMS = {
+    'fixed-window': fixedWindow,
+    'sliding-log': slidingLog,
+    'token-bucket': tokenBucket
+};
+
+module.exports = { ALGORITHMS };
@@ -0,0 +1,45 @@
+const proxyaddr = require('proxy-addr');
+
+/**
+ * Compile a trust proxy setting, with the same syntax as Express's
+ * `trust proxy`: 'true', 'false', a hop count, or comma-separated
+ * addresses, subnets and names (loopback, linklocal, uniquelocal)
+ * @param {string} setting
+ * @returns {Function} - (address, hopIndex) => boolean
+ */
+function compileTrust(setting) {
+    const value = String(setting === undefined ? '' : setting).trim();
+
+    if (value === '' || value === 'false') return () => false;
+    if (value === 'true') return () => true;
+    if (/^\d+$/.test(value)) {
+        const hops = parseInt(value, 10);
+        return (address, hopIndex) => hopIndex < hops;
+    }
+    return proxyaddr.compile(value.split(',').map(part => part.trim()).filter(Boolean));
+}
+
+/**
+ * Resolve client IPs from X-Forwarded-For, trusting proxies per route.
+ * The longest matching path prefix wins; other paths use the default.
+ * @param {{defaultTrust?: string, routes?: Object<string, string>}} options -
+ *   e.g. `{defaultTrust: 'loopback', routes: {'/api/stream': '10.0.0.0/8'}}`
+ * @returns {Function} - (req) => client IP
+ */
+function createClientIpResolver(options = {}) {
+    const fallback = compileTrust(options.defaultTrust);
+    const routes = Object.entries(options.routes || {})
+        .map(([prefix, setting]) => ({ prefix: prefix.replace(/\/+$/, ''), trust: compileTrust(setting) }))
+        .sort((a, b) => b.prefix.length - a.prefix.length);
+
+    function trustFor(path) {
+        const route = routes.find(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+        return route ? route.trust : fallback;
+    }
+
+    const resolve = (req) => proxyaddr(req, trustFor(req.originalUrl.split('?')[0]));
+    resolve.defaultTrust = fallback;
+    return resolve;
+}
+
+module.exports = { compileTrust, createClientIpResolver };
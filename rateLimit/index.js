@@ -0,0 +1,89 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+const { ALGORITHMS } = require('./algorithms');
+const { compileTrust, createClientIpResolver } = require('./clientIp');
+const { logger } = require('../logger');
+
+/**
+ * Rate limit store interface (all methods async):
+ *   increment(key, ttlMs)               -> {count, expiresAt}  (the first hit starts a ttlMs window)
+ *   addToLog(key, member, at, windowMs) -> {count, oldest}     (drops entries older than windowMs first)
+ *   removeFromLog(key, member)
+ *   update(key, ttlMs, apply)           -> result; apply(state|null) returns {state, result}
+ *                                          and the read-apply-write runs atomically
+ *   purgeExpired()                      -> number of cleared keys
+ *   size()                              -> number of keys, or null if unknown
+ *   close()
+ */
+
+/**
+ * Create the rate limit store for a backend name
+ * @param {string} backend - 'memory' | 'redis'
+ * @param {{url?: string, keyPrefix?: string, commandTimeoutMs?: number}} redis - Redis server (config.redis), for the redis backend
+ */
+function createRateLimitStore(backend = 'memory', redis = {}) {
+    switch (backend) {
+        case 'memory':
+            return createMemoryStore();
+        case 'redis':
+            if (!redis.url) {
+                throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL (e.g. redis://localhost:6379)');
+            }
+            return createRedisStore({
+                url: redis.url,
+                prefix: redis.keyPrefix,
+                commandTimeoutMs: redis.commandTimeoutMs
+            });
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${backend}" (expected memory or redis)`);
+    }
+}
+
+/**
+ * Create a rate limiter. If the store fails the limiter lets requests
+ * through (and logs at most once a minute) rather than failing the API.
+ * @param {{name: string, algorithm: string, windowMs: number, store: object}} options -
+ *   algorithm: 'fixed-window' | 'sliding-log' | 'token-bucket'
+ */
+function createRateLimiter(options) {
+    const algorithm = ALGORITHMS[options.algorithm];
+    if (!algorithm) {
+        throw new Error(`Unknown rate limit algorithm "${options.algorithm}" (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+    }
+
+    let lastErrorLogAt = 0;
+
+    return {
+        name: options.name,
+        algorithm: options.algorithm,
+        windowMs: options.windowMs,
+        store: options.store,
+
+        /**
+         * Count one hit for a client
+         * @param {string} clientId - `key:<id>` or `ip:<address>`
+         * @param {number} limit - Hits allowed per window
+         * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetTime: number, retryAfter?: number}>}
+         */
+        check: async function (clientId, limit) {
+            const now = Date.now();
+            try {
+                return await algorithm(this.store, `${this.name}:${clientId}`, limit, this.windowMs, now);
+            } catch (error) {
+                if (now - lastErrorLogAt > 60000) {
+                    lastErrorLogAt = now;
+                    logger.error('❌ Rate limit store error, allowing requests', { limiter: this.name, error });
+                }
+                return { allowed: true, limit, remaining: limit, resetTime: now + this.windowMs };
+            }
+        }
+    };
+}
+
+module.exports = {
+    ALGORITHMS: Object.keys(ALGORITHMS),
+    createRateLimitStore,
+    createRateLimiter,
+    compileTrust,
+    createClientIpResolver
+};
@@ -0,0 +1,84 @@
+/**
+ * In-process rate limit store. State is lost on restart and not shared
+ * between instances (use the redis store for that).
+ */
+function createMemoryStore() {
+    const entries = new Map(); // Map<key, {value, expiresAt}>
+
+    function live(key, now) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    return {
+        backend: 'memory',
+
+        increment: async function (key, ttlMs) {
+            const now = Date.now();
+            let entry = live(key, now);
+            if (!entry) {
+                entry = { value: 0, expiresAt: now + ttlMs };
+                entries.set(key, entry);
+            }
+            entry.value++;
+            return { count: entry.value, expiresAt: entry.expiresAt };
+        },
+
+        addToLog: async function (key, member, at, windowMs) {
+            let entry = live(key, Date.now());
+            if (!entry) {
+                entry = { value: [], expiresAt: 0 };
+                entries.set(key, entry);
+            }
+
+            // Entries are appended in time order, so expired ones are at the front
+            const log = entry.value;
+            while (log.length > 0 && log[0].at <= at - windowMs) {
+                log.shift();
+            }
+            log.push({ member, at });
+            entry.expiresAt = Date.now() + windowMs;
+
+            return { count: log.length, oldest: log[0].at };
+        },
+
+        removeFromLog: async function (key, member) {
+            const entry = entries.get(key);
+            if (!entry) return;
+            const index = entry.value.findIndex(item => item.member === member);
+            if (index !== -1) entry.value.splice(index, 1);
+        },
+
+        update: async function (key, ttlMs, apply) {
+            const now = Date.now();
+            const entry = live(key, now);
+            const { state, result } = apply(entry ? entry.value : null);
+            entries.set(key, { value: state, expiresAt: now + ttlMs });
+            return result;
+        },
+
+        purgeExpired: async function () {
+            const now = Date.now();
+            let cleared = 0;
+            for (const [key, entry] of entries.entries()) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                    cleared++;
+                }
+            }
+            return cleared;
+        },
+
+        size: async function () {
+            return entries.size;
+        },
+
+        close: async function () { }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,297 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Minimal Redis client (RESP2 over TCP, or TLS for rediss:), enough for the
+ * rate limit store. Commands are pipelined on one connection; it reconnects
+ * on the next command after the connection drops, or after a command timed out.
+ * @param {{url: string, connectTimeoutMs?: number, commandTimeoutMs?: number}} options -
+ *   url is redis[s]://[:password@]host[:port][/db]
+ */
+function createRedisClient(options) {
+    const url = new URL(options.url);
+    const secure = url.protocol === 'rediss:';
+    const host = url.hostname.replace(/^\[|\]$/g, '') || '127.0.0.1';
+    const port = parseInt(url.port, 10) || 6379;
+    const password = url.password ? decodeURIComponent(url.password) : null;
+    const db = parseInt(url.pathname.slice(1), 10) || 0;
+    const connectTimeoutMs = options.connectTimeoutMs || 2000;
+    const commandTimeoutMs = options.commandTimeoutMs || 1000;
+
+    let socket = null;
+    let connecting = null;
+    let buffer = Buffer.alloc(0);
+    let pending = []; // [{resolve, reject}] in command order
+
+    function failPending(error) {
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(({ reject }) => reject(error));
+    }
+
+    /**
+     * Parse one reply from the start of the buffer
+     * @returns {{value: *, length: number}|null} - Null until the reply is complete
+     */
+    function parseReply(buf, offset) {
+        const lineEnd = buf.indexOf('\r\n', offset);
+        if (lineEnd === -1) return null;
+
+        const type = String.fromCharCode(buf[offset]);
+        const line = buf.toString('utf8', offset + 1, lineEnd);
+        const next = lineEnd + 2;
+
+        switch (type) {
+            case '+':
+                return { value: line, length: next - offset };
+            case '-': {
+                const error = new Error(line);
+                error.isRedisError = true;
+                return { value: error, length: next - offset };
+            }
+            case ':':
+                return { value: parseInt(line, 10), length: next - offset };
+            case '$': {
+                const size = parseInt(line, 10);
+                if (size === -1) return { value: null, length: next - offset };
+                if (buf.length < next + size + 2) return null;
+                return { value: buf.toString('utf8', next, next + size), length: next + size + 2 - offset };
+            }
+            case '*': {
+                const count = parseInt(line, 10);
+                if (count === -1) return { value: null, length: next - offset };
+                const items = [];
+                let position = next;
+                for (let i = 0; i < count; i++) {
+                    const item = parseReply(buf, position);
+                    if (!item) return null;
+                    items.push(item.value);
+                    position += item.length;
+                }
+                return { value: items, length: position - offset };
+            }
+            default:
+                throw new Error(`Unexpected Redis reply type "${type}"`);
+        }
+    }
+
+    function onData(conn, chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let reply;
+        try {
+            while (buffer.length > 0 && (reply = parseReply(buffer, 0))) {
+                buffer = buffer.subarray(reply.length);
+                const waiter = pending.shift();
+                if (!waiter) continue;
+                if (reply.value instanceof Error) waiter.reject(reply.value);
+                else waiter.resolve(reply.value);
+            }
+        } catch (error) {
+            // Not a Redis server (or a broken stream): nothing after this can be trusted
+            failPending(error);
+            conn.destroy();
+        }
+    }
+
+    function encode(args) {
+        let out = `*${args.length}\r\n`;
+        for (const arg of args) {
+            const value = String(arg);
+            out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+        }
+        return out;
+    }
+
+    /**
+     * Write commands in one packet and wait for each reply
+     * @param {Array<Array<string|number>>} commands
+     */
+    function sendAll(commands) {
+        if (!socket) {
+            return Promise.reject(new Error('Redis connection closed'));
+        }
+
+        const conn = socket;
+        const replies = commands.map(() => new Promise((resolve, reject) => {
+            pending.push({ resolve, reject });
+        }));
+        conn.write(commands.map(encode).join(''));
+
+        // Late replies would be matched to later commands, so drop the connection and start over
+        const timer = setTimeout(() => {
+            failPending(new Error(`Redis command timeout (${commandTimeoutMs}ms)`));
+            conn.destroy();
+        }, commandTimeoutMs);
+        return Promise.all(replies).finally(() => clearTimeout(timer));
+    }
+
+    async function send(args) {
+        const [reply] = await sendAll([args]);
+        return reply;
+    }
+
+    function connect() {
+        if (socket) return Promise.resolve();
+        if (connecting) return connecting;
+
+        connecting = new Promise((resolve, reject) => {
+            // The password is only sent once the TLS handshake has succeeded
+            const conn = secure
+                ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host })
+                : net.createConnection({ host, port });
+            const timer = setTimeout(() => {
+                conn.destroy(new Error(`Redis connect timeout (${host}:${port})`));
+            }, connectTimeoutMs);
+
+            conn.setNoDelay(true);
+            conn.on('data', chunk => onData(conn, chunk));
+            conn.on('error', (error) => {
+                clearTimeout(timer);
+                failPending(error);
+                reject(error);
+            });
+            conn.on('close', () => {
+                if (socket === conn) socket = null;
+                buffer = Buffer.alloc(0);
+                failPending(new Error('Redis connection closed'));
+            });
+            conn.on(secure ? 'secureConnect' : 'connect', async () => {
+                clearTimeout(timer);
+                socket = conn;
+                try {
+                    if (password) await send(['AUTH', password]);
+                    if (db) await send(['SELECT', db]);
+                    resolve();
+                } catch (error) {
+                    conn.destroy();
+                    reject(error);
+                }
+            });
+        }).finally(() => {
+            connecting = null;
+        });
+
+        return connecting;
+    }
+
+    return {
+        /**
+         * Send one command
+         * @param {...(string|number)} args - e.g. 'INCR', 'key'
+         */
+        command: async function (...args) {
+            await connect();
+            return send(args);
+        },
+
+        /**
+         * Send several commands in one write and collect every reply
+         * @param {Array<Array<string|number>>} commands
+         * @returns {Promise<Array<*>>}
+         */
+        pipeline: async function (commands) {
+            await connect();
+            return sendAll(commands);
+        },
+
+        close: async function () {
+            if (!socket) return;
+            const conn = socket;
+            await new Promise(resolve => {
+                conn.once('close', resolve);
+                conn.end(encode(['QUIT']));
+            });
+        }
+    };
+}
+
+/**
+ * Rate limit store on Redis, shared by every instance using the same server.
+ * Counters and logs are plain keys and sorted sets with TTLs; state updates
+ * (token buckets) use WATCH/MULTI/EXEC and retry when another instance wins.
+ * @param {{url: string, prefix?: string, connectTimeoutMs?: number, commandTimeoutMs?: number}} options
+ */
+function createRedisStore(options) {
+    const client = createRedisClient(options);
+    const prefix = options.prefix || 'ratelimit:';
+
+    // WATCH is per connection, so transactions on the shared connection run one at a time
+    let transactions = Promise.resolve();
+
+    async function runUpdate(key, ttlMs, apply) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await client.command('WATCH', key);
+            let state, result;
+            try {
+                const raw = await client.command('GET', key);
+                ({ state, result } = apply(raw === null ? null : JSON.parse(raw)));
+            } catch (error) {
+                await client.command('UNWATCH').catch(() => { });
+                throw error;
+            }
+
+            const committed = await client.pipeline([
+                ['MULTI'],
+                ['SET', key, JSON.stringify(state), 'PX', ttlMs],
+                ['EXEC']
+            ]);
+            if (committed[2] !== null) {
+                return result;
+            }
+        }
+        throw new Error(`Redis update of ${key} kept conflicting`);
+    }
+
+    return {
+        backend: 'redis',
+
+        increment: async function (key, ttlMs) {
+            key = prefix + key;
+            // SET NX starts the window once; INCR keeps the TTL
+            const [, count, pttl] = await client.pipeline([
+                ['SET', key, 0, 'PX', ttlMs, 'NX'],
+                ['INCR', key],
+                ['PTTL', key]
+            ]);
+            return { count, expiresAt: Date.now() + Math.max(pttl, 0) };
+        },
+
+        addToLog: async function (key, member, at, windowMs) {
+            key = prefix + key;
+            const [, , count, oldest] = await client.pipeline([
+                ['ZREMRANGEBYSCORE', key, '-inf', at - windowMs],
+                ['ZADD', key, at, member],
+                ['ZCARD', key],
+                ['ZRANGE', key, 0, 0, 'WITHSCORES'],
+                ['PEXPIRE', key, windowMs]
+            ]);
+            return { count, oldest: oldest.length > 1 ? Number(oldest[1]) : at };
+        },
+
+        removeFromLog: async function (key, member) {
+            await client.command('ZREM', prefix + key, member);
+        },
+
+        update: function (key, ttlMs, apply) {
+            const run = transactions.then(() => runUpdate(prefix + key, ttlMs, apply));
+            transactions = run.catch(() => { });
+            return run;
+        },
+
+        // Redis expires keys by itself
+        purgeExpired: async function () {
+            return 0;
+        },
+
+        size: async function () {
+            return null;
+        },
+
+        close: function () {
+            return client.close();
+        }
+    };
+}
+
+module.exports = { createRedisClient, createRedisStore };
@@ -0,0 +1,154 @@
+const { config } = require('./config');
+
+// Seconds a client should wait after the video host blocked us
+const BLOCKED_RETRY_AFTER_S = config.scraper.blockedRetryAfterS;
+
+/**
+ * Scrape failure classes. Scrapers report one as `errorCode` in their
+ * `{success: false}` result; the API answers with its status, a stable
+ * `code`, a public message and whether retrying can help.
+ */
+const SCRAPE_ERRORS = {
+    BROWSER_LAUNCH_FAILED: {
+        statusCode: 503,
+        retryAfter: 30,
+        error: 'Scraper unavailable',
+        message: 'The scraper is temporarily unavailable. Please try again shortly.'
+    },
+    NAVIGATION_TIMEOUT: {
+        statusCode: 504,
+        error: 'Video page timed out',
+        message: 'The video page took too long to load. Please try again.'
+    },
+    UPSTREAM_UNREACHABLE: {
+        statusCode: 502,
+        error: 'Video host unreachable',
+        message: 'The video host could not be reached. Please try again later.'
+    },
+    LOGIN_REQUIRED: {
+        statusCode: 403,
+        error: 'Login required',
+        message: 'This video can only be watched when logged in.'
+    },
+    CONTENT_UNAVAILABLE: {
+        statusCode: 404,
+        error: 'Video unavailable',
+        message: 'The video is private, deleted, or not available in this region.'
+    },
+    NO_MEDIA_CAPTURED: {
+        statusCode: 502,
+        error: 'No video found',
+        message: 'The page loaded but no playable video was found on it.'
+    },
+    UPSTREAM_BLOCKED: {
+        statusCode: 503,
+        retryAfter: BLOCKED_RETRY_AFTER_S,
+        error: 'Blocked by video host',
+        message: 'The video host is temporarily refusing our requests. Please try again later.'
+    },
+    HOST_NOT_ALLOWED: {
+        statusCode: 403,
+        error: 'Host not allowed',
+        message: 'Videos can only be fetched from public websites.'
+    },
+    SCRAPE_QUEUE_FULL: {
+        statusCode: 503,
+        retryAfter: 30,
+        error: 'Scraper busy',
+        message: 'Too many videos are waiting to be scraped. Please try again shortly.'
+    },
+    SCRAPE_QUEUE_TIMEOUT: {
+        statusCode: 504,
+        error: 'Scrape queue timed out',
+        message: 'The video waited too long for a free scraper. Please try again.'
+    },
+    SCRAPE_FAILED: {
+        statusCode: 500,
+        error: 'Scraping failed',
+        message: 'Unable to retrieve the video right now. Please try again later.'
+    }
+};
+
+// Classes where the same request can succeed later
+const RETRYABLE = [
+    'BROWSER_LAUNCH_FAILED',
+    'NAVIGATION_TIMEOUT',
+    'UPSTREAM_UNREACHABLE',
+    'NO_MEDIA_CAPTURED',
+    'UPSTREAM_BLOCKED',
+    'SCRAPE_QUEUE_FULL',
+    'SCRAPE_QUEUE_TIMEOUT',
+    'SCRAPE_FAILED'
+];
+
+/**
+ * Build a failed scrape result
+ * @param {string} code - Key of SCRAPE_ERRORS
+ * @param {string} [detail] - Internal detail, logged but never sent to clients
+ */
+function scrapeFailure(code, detail) {
+    return { success: false, errorCode: code, error: detail || code };
+}
+
+/**
+ * Classify an HTTP status answered by a video host
+ * @returns {string|null} - Error code, or null if the status says nothing specific
+ */
+function classifyHttpStatus(status) {
+    if (status === 429) return 'UPSTREAM_BLOCKED';
+    if (status === 401 || status === 403) return 'LOGIN_REQUIRED';
+    if (status === 404 || status === 410) return 'CONTENT_UNAVAILABLE';
+    return null;
+}
+
+/**
+ * Classify a failed request to a video host (timeouts, unreachable hosts, error statuses)
+ * @param {Error} error - axios error
+ * @returns {string} - Error code
+ */
+function classifyRequestError(error) {
+    // Refused by the host guard, directly or on a redirect (wrapped by axios / follow-redirects)
+    if (error.code === 'BLOCKED_HOST' || (error.cause && error.cause.code === 'BLOCKED_HOST')) {
+        return 'HOST_NOT_ALLOWED';
+    }
+    if (error.response) {
+        return classifyHttpStatus(error.response.status) || 'SCRAPE_FAILED';
+    }
+    if (!error.isAxiosError) {
+        return 'SCRAPE_FAILED';
+    }
+    // No answer in time, or no answer at all (refused, unknown host, TLS failure, ...)
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'NAVIGATION_TIMEOUT' : 'UPSTREAM_UNREACHABLE';
+}
+
+/**
+ * Describe a failed scrape result for an API response
+ * @param {object} result - `{success: false, errorCode?, error?}`
+ * @returns {{statusCode: number, body: object}} - body has success, code, error,
+ *   message, retryable and, for 503s, retryAfter (seconds)
+ */
+function describeScrapeFailure(result) {
+    const code = result && SCRAPE_ERRORS[result.errorCode] ? result.errorCode : 'SCRAPE_FAILED';
+    const { statusCode, retryAfter, error, message } = SCRAPE_ERRORS[code];
+
+    const body = {
+        success: false,
+        code,
+        error,
+        message,
+        retryable: RETRYABLE.includes(code)
+    };
+    if (retryAfter) {
+        body.retryAfter = retryAfter;
+    }
+
+    return { statusCode, body };
+}
+
+module.exports = {
+    SCRAPE_ERRORS,
+    scrapeFailure,
+    classifyHttpStatus,
+    classifyRequestError,
+    describeScrapeFailure
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { config } = require('./config');
+
+/**
+ * Asynchronous scrape jobs (in-memory).
+ * Finished jobs are kept for `retentionMs` so clients can poll the result.
+ */
+const scrapeJobs = {
+    jobs: new Map(), // Map<jobId, job>
+    retentionMs: config.scraper.jobRetentionMs,
+
+    /**
+     * Create a running job
+     * @param {string} videoId - Video identifier being scraped
+     * @param {string} [requestId] - ID of the request that started it (for log correlation)
+     * @returns {object} - Job
+     */
+    create: function (videoId, requestId = null) {
+        const now = new Date();
+        const job = {
+            id: crypto.randomUUID(),
+            videoId,
+            requestId,
+            status: 'running',
+            stage: null,
+            events: [],
+            result: null,
+            createdAt: now,
+            updatedAt: now,
+            emitter: new EventEmitter()
+        };
+
+        this.jobs.set(job.id, job);
+        this.progress(job.id, 'queued');
+        return job;
+    },
+
+    get: function (jobId) {
+        return this.jobs.get(jobId) || null;
+    },
+
+    /**
+     * Record a stage event and notify listeners
+     */
+    progress: function (jobId, stage, data = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        const event = { stage, ...data, at: new Date() };
+        job.stage = stage;
+        job.updatedAt = event.at;
+        job.events.push(event);
+        job.emitter.emit('event', event);
+    },
+
+    /**
+     * Complete a job with its API response body
+     * @param {string} jobId - Job ID
+     * @param {object} result - Response body ({success, ...})
+     */
+    finish: function (jobId, result) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.status = result.success ? 'done' : 'failed';
+        job.result = result;
+        this.progress(jobId, job.status);
+        job.emitter.emit('end');
+        job.emitter.removeAllListeners();
+
+        // Forget the job once clients had time to fetch the result
+        setTimeout(() => this.jobs.delete(jobId), this.retentionMs).unref();
+    },
+
+    /**
+     * Public view of a job (no internals)
+     */
+    toJSON: function (job) {
+        return {
+            id: job.id,
+            videoId: job.videoId,
+            requestId: job.requestId,
+            status: job.status,
+            stage: job.stage,
+            events: job.events,
+            result: job.result,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+    }
+};
+
+module.exports = scrapeJobs;
@@ -0,0 +1,146 @@
+const { AsyncResource } = require('async_hooks');
+const { config } = require('./config');
+
+/**
+ * FIFO scheduler for scrapes that hit a rate-limited host. Starts are spaced
+ * at least `minSpacingMs` apart, at most `maxConcurrency` run at once, and at
+ * most `maxQueueLength` wait. A task still waiting after its `maxWaitMs` is
+ * dropped from the queue.
+ *
+ * schedule() rejects with an Error carrying `errorCode` SCRAPE_QUEUE_FULL or
+ * SCRAPE_QUEUE_TIMEOUT when a task never started.
+ * @param {{minSpacingMs: number, maxConcurrency: number, maxQueueLength: number, maxWaitMs: number}} options
+ */
+function createScrapeScheduler(options) {
+    const queue = []; // [{task, resolve, reject, enqueuedAt, onPosition, deadlineTimer}]
+    let running = 0;
+    let lastStartAt = 0;
+    let spacingTimer = null;
+
+    const counters = {
+        started: 0,
+        queuedTotal: 0,
+        rejected: 0,
+        timedOut: 0
+    };
+
+    function queueError(errorCode, message) {
+        const error = new Error(message);
+        error.errorCode = errorCode;
+        return error;
+    }
+
+    function notifyPositions() {
+        queue.forEach((item, index) => {
+            if (item.onPosition) item.onPosition(index + 1);
+        });
+    }
+
+    function start(item) {
+        running++;
+        counters.started++;
+        lastStartAt = Date.now();
+
+        const waitedMs = lastStartAt - item.enqueuedAt;
+        Promise.resolve()
+            .then(() => item.task({ waitedMs }))
+            .then(item.resolve, item.reject)
+            .finally(() => {
+                running--;
+                pump();
+            });
+    }
+
+    function pump() {
+        if (spacingTimer) return;
+
+        while (queue.length > 0 && running < options.maxConcurrency) {
+            const wait = lastStartAt + options.minSpacingMs - Date.now();
+            if (wait > 0) {
+                spacingTimer = setTimeout(() => {
+                    spacingTimer = null;
+                    pump();
+                }, wait);
+                return;
+            }
+
+            const item = queue.shift();
+            clearTimeout(item.deadlineTimer);
+            start(item);
+            notifyPositions();
+        }
+    }
+
+    return {
+        options,
+
+        /**
+         * Run a task when its turn comes
+         * @param {Function} task - ({waitedMs}) => Promise
+         * @param {{maxWaitMs?: number, onPosition?: Function}} taskOptions - Wait deadline
+         *   (defaults to options.maxWaitMs); onPosition(position) is called while the task waits
+         * @returns {Promise<*>} - The task's result
+         */
+        schedule: function (task, taskOptions = {}) {
+            return new Promise((resolve, reject) => {
+                const item = {
+                    // Run in the caller's async context (not whichever task's completion starts it),
+                    // so its log lines keep the request ID
+                    task: AsyncResource.bind(task),
+                    resolve,
+                    reject,
+                    enqueuedAt: Date.now(),
+                    onPosition: taskOptions.onPosition,
+                    deadlineTimer: null
+                };
+
+                const canStartNow = queue.length === 0 && running < options.maxConcurrency &&
+                    Date.now() - lastStartAt >= options.minSpacingMs;
+                if (canStartNow) {
+                    return start(item);
+                }
+
+                if (queue.length >= options.maxQueueLength) {
+                    counters.rejected++;
+                    return reject(queueError('SCRAPE_QUEUE_FULL', `Scrape queue is full (${queue.length} waiting)`));
+                }
+
+                const maxWaitMs = taskOptions.maxWaitMs || options.maxWaitMs;
+                item.deadlineTimer = setTimeout(() => {
+                    const index = queue.indexOf(item);
+                    if (index === -1) return;
+                    queue.splice(index, 1);
+                    counters.timedOut++;
+                    reject(queueError('SCRAPE_QUEUE_TIMEOUT', `Waited ${maxWaitMs}ms in the scrape queue`));
+                    notifyPositions();
+                }, maxWaitMs);
+
+                queue.push(item);
+                counters.queuedTotal++;
+                if (item.onPosition) item.onPosition(queue.length);
+                pump();
+            });
+        },
+
+        getStats: function () {
+            return {
+                running,
+                queued: queue.length,
+                maxConcurrency: options.maxConcurrency,
+                maxQueueLength: options.maxQueueLength,
+                minSpacingMs: options.minSpacingMs,
+                ...counters
+            };
+        }
+    };
+}
+
+// Shared scheduler for Facebook scrapes (API requests, background refresh and admin refreshes)
+const scrapeScheduler = createScrapeScheduler({
+    minSpacingMs: config.scrapeQueue.delayMs,
+    maxConcurrency: config.scrapeQueue.concurrency,
+    maxQueueLength: config.scrapeQueue.maxQueued,
+    maxWaitMs: config.scrapeQueue.maxWaitMs
+});
+
+module.exports = { createScrapeScheduler, scrapeScheduler };
@@ -1,101 +1,287 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const { getFreshVideoUrl } = require('./videoScraper');
-require('dotenv').config();
+// Loaded first: exits with a list of problems when the environment is invalid
+const { config } = require('./config');
+const {
+    getBrowserStats,
+    getScrapeStats,
+    decodeRendition,
+    resolveStreams,
+    isValidQuality
+} = require('./videoScraper');
+const { getCachedVideo, updateVideoCache, deleteCachedVideo, getCacheLookupStats } = require('./cacheService');
+const { getMovieById } = require('./movieService');
+const backgroundRefresh = require('./backgroundRefresh');
+const scrapeJobs = require('./scrapeJobs');
+const { proxyVideoStream } = require('./streamProxy');
+const {
+    getFreshVideoUrl, isScrapeInFlight, waitForInFlightScrapes, findProvider, resolveSource, listProviders
+} = require('./providers');
+const { describeScrapeFailure } = require('./scrapeErrors');
+const { createAdminRouter, tokensMatch } = require('./adminRoutes');
+const apiKeys = require('./apiKeys');
+const { createRateLimitStore, createRateLimiter, createClientIpResolver } = require('./rateLimit');
+const { scrapeScheduler } = require('./scrapeScheduler');
+const { healthChecks } = require('./health');
+const { addCollector, renderMetrics, recordRequest, recordRateLimitRejection } = require('./metrics');
+const { logger, runWithRequestId } = require('./logger');
+const { onShutdown, isShuttingDown, handleShutdownSignals } = require('./shutdown');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Rate limiting tracker (in-memory, no database)
-const rateLimiter = {
-    requests: new Map(), // Map<IP, {count, resetTime}>
-    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 10,
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
-
-    check: function (ip) {
-        const now = Date.now();
-        const record = this.requests.get(ip);
-
-        if (!record || now > record.resetTime) {
-            this.requests.set(ip, {
-                count: 1,
-                resetTime: now + this.windowMs
-            });
-            return { allowed: true, remaining: this.maxRequests - 1 };
-        }
+const PORT = config.server.port;
 
-        if (record.count >= this.maxRequests) {
-            return {
-                allowed: false,
-                remaining: 0,
-                retryAfter: Math.ceil((record.resetTime - now) / 1000)
-            };
-        }
+// Client IPs: X-Forwarded-For is only believed from trusted proxies, per route
+const clientIp = createClientIpResolver({
+    defaultTrust: config.proxy.trust,
+    routes: config.proxy.routes
+});
+app.set('trust proxy', clientIp.defaultTrust);
 
-        record.count++;
-        return { allowed: true, remaining: this.maxRequests - record.count };
-    },
+// Requests and stream requests per client per window, and new scrapes per client per (longer) window
+const rateLimitStore = createRateLimitStore(config.rateLimit.store, config.redis);
+const rateLimiter = createRateLimiter({
+    name: 'requests',
+    algorithm: config.rateLimit.algorithm,
+    windowMs: config.rateLimit.windowMs,
+    store: rateLimitStore
+});
+const streamLimiter = createRateLimiter({
+    name: 'streams',
+    algorithm: config.rateLimit.algorithm,
+    windowMs: config.rateLimit.windowMs,
+    store: rateLimitStore
+});
+const scrapeBudget = createRateLimiter({
+    name: 'scrapes',
+    algorithm: config.rateLimit.scrapeBudgetAlgorithm,
+    windowMs: config.rateLimit.scrapeBudgetWindowMs,
+    store: rateLimitStore
+});
 
-    startCleanup: function () {
-        setInterval(() => {
-            const now = Date.now();
-            for (const [ip, record] of this.requests.entries()) {
-                if (now > record.resetTime + 60000) {
-                    this.requests.delete(ip);
-                }
-            }
-            console.log(`🧹 Cleaned up rate limiter. Active IPs: ${this.requests.size}`);
-        }, 300000);
-    }
+// Quotas for requests without an API key (counted per IP)
+const anonymousTier = {
+    enabled: config.anonymous.enabled,
+    requestsPerWindow: config.anonymous.maxRequests,
+    scrapeBudget: config.anonymous.scrapeBudget
 };
 
-// Facebook scraping rate limiter
-const fbRateLimiter = {
-    lastScrapeTime: 0,
-    minDelayMs: parseInt(process.env.FB_SCRAPE_DELAY_MS) || 5000,
+function startLimiterCleanup() {
+    if (rateLimitStore.backend !== 'memory') return; // Redis expires keys itself
+
+    const timer = setInterval(async () => {
+        await rateLimitStore.purgeExpired();
+        logger.info('🧹 Cleaned up rate limiter', { activeKeys: await rateLimitStore.size() });
+    }, 300000);
+    onShutdown('rate limiter cleanup', () => clearInterval(timer));
+}
 
-    canScrape: function () {
-        const now = Date.now();
-        const timeSinceLastScrape = now - this.lastScrapeTime;
+/**
+ * Count a new scrape against the client's scrape budget, answering 429 when it is used up.
+ * Joining an in-flight scrape doesn't scrape again, so it is free.
+ * @returns {Promise<boolean>} - True if a response was sent
+ */
+async function rejectIfOverScrapeBudget(req, res, videoIdentifier) {
+    const failure = await checkScrapeBudget(req.client, videoIdentifier);
+    if (!failure) {
+        return false;
+    }
+
+    sendResponse(res, failure);
+    return true;
+}
+
+/**
+ * @returns {Promise<{statusCode: number, body: object}|null>} - 429 response, or null if the scrape may start
+ */
+async function checkScrapeBudget(client, videoIdentifier) {
+    if (isScrapeInFlight(videoIdentifier)) {
+        return null;
+    }
 
-        if (timeSinceLastScrape < this.minDelayMs) {
-            const waitTime = Math.ceil((this.minDelayMs - timeSinceLastScrape) / 1000);
-            return { allowed: false, waitTime };
+    const budget = await scrapeBudget.check(client.id, client.scrapeBudget);
+    if (budget.allowed) {
+        return null;
+    }
+
+    logger.info('🚫 Scrape budget used up', { client: client.id, clientName: client.name });
+    recordRateLimitRejection('scrape_budget');
+    return {
+        statusCode: 429,
+        body: {
+            success: false,
+            code: 'SCRAPE_BUDGET_EXHAUSTED',
+            error: 'Scrape budget exhausted',
+            message: `This client may start ${budget.limit} new scrapes per ${Math.round(scrapeBudget.windowMs / 3600000)}h. Cached videos are still served.`,
+            retryable: true,
+            retryAfter: budget.retryAfter
         }
+    };
+}
+
+// Browser origins allowed for everyone (CORS_ORIGINS); API keys can allow more (see apiKeys.allowedOrigins)
+const CORS_ORIGINS = config.cors.origins;
+const CORS_ANY_ORIGIN = CORS_ORIGINS.includes('*');
+
+// Request IDs: keep a well-formed X-Request-Id from the caller, or make one up.
+// Every response echoes it, error bodies carry it as `requestId`, and log lines
+// written while handling the request include it.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
-        this.lastScrapeTime = now;
-        return { allowed: true };
+app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const isErrorBody = res.statusCode >= 400 && body !== null && typeof body === 'object' && !Array.isArray(body);
+        return json(isErrorBody ? { ...body, requestId: req.id } : body);
+    };
+
+    runWithRequestId(req.id, next);
+});
+
+const SHUTTING_DOWN_RESPONSE = {
+    statusCode: 503,
+    body: {
+        success: false,
+        code: 'SHUTTING_DOWN',
+        error: 'Server shutting down',
+        message: 'This server is restarting. Please try again.',
+        retryable: true
     }
 };
 
+// Refuse new work while shutting down; the liveness probe keeps answering
+// so the process isn't restarted mid-drain
+app.use((req, res, next) => {
+    if (!isShuttingDown() || req.path === '/api/health/live') {
+        return next();
+    }
+
+    res.setHeader('Connection', 'close');
+    res.status(SHUTTING_DOWN_RESPONSE.statusCode).json(SHUTTING_DOWN_RESPONSE.body);
+});
+
+// Request metrics, labelled by route pattern so IDs don't explode the series count
+app.use((req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    let recorded = false;
+
+    const record = () => {
+        if (recorded) return;
+        recorded = true;
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        recordRequest(req.method, route, res.statusCode, seconds);
+        logger.debug('📨 Request handled', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            client: req.client && req.client.id
+        });
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+});
+
 // CORS Configuration
 app.use(cors({
-    origin: [
-        'https://zinema.lk',
-        'https://www.zinema.lk',
-        'http://localhost',
-        'http://localhost:3000'
-    ],
+    origin: (origin, callback) => {
+        callback(null, !origin || CORS_ANY_ORIGIN || CORS_ORIGINS.includes(origin) || apiKeys.isOriginAllowed(origin));
+    },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'X-Request-Id']
 }));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting middleware (skip health check)
+// The body parsers call next() from stream events, outside the request's log context
+app.use((req, res, next) => runWithRequestId(req.id, next));
+
+// Identify the client: an API key (X-API-Key header, or api_key query parameter
+// for players that can't send headers), otherwise anonymous by IP
 app.use((req, res, next) => {
-    // Skip rate limiting for health check endpoint
-    if (req.path === '/api/health') {
+    const rawKey = req.get('X-API-Key') || req.query.api_key;
+    const ip = clientIp(req);
+
+    if (!rawKey) {
+        req.client = { id: `ip:${ip}`, name: 'anonymous', tier: 'anonymous', ...anonymousTier };
         return next();
     }
 
-    const ip = req.ip || req.connection.remoteAddress;
-    const result = rateLimiter.check(ip);
+    const record = apiKeys.authenticate(String(rawKey));
+    if (!record) {
+        logger.warn('🔑 Rejected unknown or disabled API key', { ip });
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid API key',
+            message: 'The API key is unknown or disabled'
+        });
+    }
+
+    const origin = req.get('Origin');
+    if (origin && record.allowedOrigins.length > 0 && !record.allowedOrigins.includes(origin)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Origin not allowed',
+            message: `This API key can't be used from ${origin}`
+        });
+    }
+
+    req.client = {
+        id: `key:${record.id}`,
+        name: record.name,
+        tier: 'key',
+        requestsPerWindow: record.requestsPerWindow,
+        scrapeBudget: record.scrapeBudget
+    };
+    next();
+});
+
+// Rate limiting middleware (skip health check, metrics and job polling; streaming has its own limit)
+app.use(async (req, res, next) => {
+    // Admin routes have their own token; health, metrics and job polling stay open
+    const isAdminPath = req.path.startsWith('/api/cache/') || req.path === '/api/keys' || req.path.startsWith('/api/keys/') ||
+        req.path === '/api/config';
+    const isOpenPath = req.path === '/api/health' || req.path.startsWith('/api/health/') || req.path === '/metrics' ||
+        req.path.startsWith('/api/jobs/');
+
+    if (req.client.tier === 'anonymous' && !anonymousTier.enabled && !isAdminPath && !isOpenPath) {
+        return res.status(401).json({
+            success: false,
+            error: 'API key required',
+            message: 'Send your API key in the X-API-Key header'
+        });
+    }
+
+    // Skip rate limiting for health check, metrics and job status
+    if (isOpenPath) {
+        return next();
+    }
+
+    // Players send many Range requests, so streams are counted separately and allowed more
+    // (new scrapes still count against the scrape budget)
+    const isStream = req.path.startsWith('/api/stream/');
+    const result = isStream
+        ? await streamLimiter.check(req.client.id, config.rateLimit.streamMaxRequests)
+        : await rateLimiter.check(req.client.id, req.client.requestsPerWindow);
+
+    res.setHeader('X-RateLimit-Limit', result.limit);
+    res.setHeader('X-RateLimit-Remaining', result.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000));
 
     if (!result.allowed) {
-        console.log(`🚫 Rate limit exceeded for IP: ${ip}`);
+        logger.info('🚫 Rate limit exceeded', { client: req.client.id, clientName: req.client.name, stream: isStream });
+        recordRateLimitRejection(isStream ? 'streams' : 'requests');
+        res.setHeader('Retry-After', String(result.retryAfter));
         return res.status(429).json({
             success: false,
             error: 'Too many requests',
@@ -104,7 +290,6 @@ app.use((req, res, next) => {
         });
     }
 
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
     next();
 });
 
@@ -115,78 +300,752 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         service: 'CineDrive Video Scraper',
-        version: '2.0-stateless'
+        version: '2.0-stateless',
+        browser: getBrowserStats(),
+        scraper: getScrapeStats(),
+        cache: getCacheLookupStats(),
+        providers: listProviders(),
+        scrapeQueue: scrapeScheduler.getStats(),
+        backgroundRefresh: backgroundRefresh.getStatus()
+    });
+});
+
+// Liveness probe: the process is up and its event loop answers
+app.get('/api/health/live', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// Readiness probe: 503 while a dependency needed to serve videos is down
+app.get('/api/health/ready', async (req, res) => {
+    const { ready, checks } = await healthChecks.checkReadiness();
+    if (!ready) {
+        const failed = Object.keys(checks).filter(name => checks[name].status === 'fail');
+        logger.warn('⚠️  Not ready', { failed });
+    }
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        checks
     });
 });
 
+// Values owned by other modules, read whenever /metrics is scraped
+addCollector(() => {
+    const browser = getBrowserStats();
+    const queue = scrapeScheduler.getStats();
+    const cache = getCacheLookupStats();
+
+    return [
+        { name: 'cinedrive_browser_connected', help: 'Whether the shared Chrome is connected', type: 'gauge', samples: [{ value: browser.connected ? 1 : 0 }] },
+        {
+            name: 'cinedrive_browser_pages',
+            help: 'Pooled browser pages by state',
+            type: 'gauge',
+            samples: [
+                { labels: { state: 'active' }, value: browser.activePages },
+                { labels: { state: 'idle' }, value: browser.idlePages }
+            ]
+        },
+        { name: 'cinedrive_browser_page_waiters', help: 'Scrapes waiting for a free browser page', type: 'gauge', samples: [{ value: browser.waiting }] },
+        { name: 'cinedrive_browser_launches_total', help: 'Chrome launches', type: 'counter', samples: [{ value: browser.launches }] },
+        { name: 'cinedrive_browser_crashes_total', help: 'Chrome disconnects and crashes', type: 'counter', samples: [{ value: browser.crashes }] },
+        {
+            name: 'cinedrive_scrape_queue_tasks',
+            help: 'Facebook scrape queue tasks by state',
+            type: 'gauge',
+            samples: [
+                { labels: { state: 'running' }, value: queue.running },
+                { labels: { state: 'queued' }, value: queue.queued }
+            ]
+        },
+        {
+            name: 'cinedrive_scrape_queue_rejections_total',
+            help: 'Facebook scrapes that never started (full queue, or waited too long)',
+            type: 'counter',
+            samples: [
+                { labels: { reason: 'queue_full' }, value: queue.rejected },
+                { labels: { reason: 'timeout' }, value: queue.timedOut }
+            ]
+        },
+        {
+            name: 'cinedrive_cache_lookups_total',
+            help: 'Video cache lookups by result',
+            type: 'counter',
+            samples: ['hits', 'misses', 'invalid'].map(result => ({ labels: { result }, value: cache[result] }))
+        },
+        { name: 'cinedrive_cache_hit_ratio', help: 'Share of cache lookups that were hits (NaN before the first lookup)', type: 'gauge', samples: [{ value: cache.hitRatio === null ? NaN : cache.hitRatio }] },
+        { name: 'cinedrive_process_uptime_seconds', help: 'Process uptime', type: 'gauge', samples: [{ value: process.uptime() }] },
+        { name: 'cinedrive_process_resident_memory_bytes', help: 'Resident set size', type: 'gauge', samples: [{ value: process.memoryUsage().rss }] }
+    ];
+});
+
+// Prometheus metrics (bearer METRICS_TOKEN when set)
+app.get('/metrics', (req, res) => {
+    const token = config.metrics.token;
+    if (token) {
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+        if (!match || !tokensMatch(match[1], token)) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'A valid metrics bearer token is required'
+            });
+        }
+    }
+
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+/**
+ * Pick the requested quality from the known streams
+ * (a cache entry without streams is treated as a single progressive rendition)
+ * @returns {{selected: object, streamFields: object}} - streamFields are the
+ *   response fields: type, renditions and, for DASH, audio and manifest
+ */
+function pickRendition(url, streams, quality) {
+    const list = streams && streams.length > 0 ? streams : [{ ...decodeRendition(url), kind: 'muxed' }];
+    const resolved = resolveStreams(list, quality);
+
+    const streamFields = { type: resolved.type, renditions: resolved.renditions };
+    if (resolved.type === 'dash') {
+        streamFields.audio = resolved.audio;
+        streamFields.manifest = resolved.manifest;
+    }
+
+    return { selected: resolved.selected, streamFields };
+}
+
+/**
+ * Read and validate the requested quality (body or query, default 'best')
+ * @returns {string|null} - Null if invalid
+ */
+function getRequestedQuality(req) {
+    const quality = (req.body && req.body.quality) || req.query.quality || 'best';
+    return isValidQuality(quality) ? quality : null;
+}
+
+/**
+ * 400 response for a video reference resolveSource() refused (502 for unreachable short links)
+ * @returns {{statusCode: number, body: object}}
+ */
+function invalidSourceResponse(error) {
+    if (error.code === 'BLOCKED_HOST') {
+        return scrapeFailureResponse({ errorCode: 'HOST_NOT_ALLOWED' }, {});
+    }
+
+    const statusCode = error.statusCode || 400;
+    return {
+        statusCode,
+        body: {
+            success: false,
+            error: statusCode === 400 ? 'Invalid video identifier' : 'Could not resolve video link',
+            message: statusCode === 400
+                ? 'Use a numeric Facebook video ID, a Facebook video, reel, fb.watch or share link, or the URL of a page that embeds a video'
+                : error.message
+        }
+    };
+}
+
+/**
+ * Pick the provider for a caller-supplied video reference and resolve it to
+ * the provider's canonical ID, answering 400 (403 for private hosts, 502 for
+ * unreachable short links) when it can't be resolved
+ * @returns {Promise<{provider: object, id: string}|null>} - Null if a response was sent
+ */
+async function resolveSourceOrReject(input, res) {
+    try {
+        return await resolveSource(input);
+    } catch (error) {
+        sendResponse(res, invalidSourceResponse(error));
+        return null;
+    }
+}
+
+/**
+ * Response for a video served from cache
+ * @param {object} cache - Valid entry from getCachedVideo()
+ * @param {{provider: object, id: string}} source
+ * @param {string} quality - Requested quality
+ * @returns {{statusCode: number, body: object}}
+ */
+function cachedVideoResponse(cache, source, quality) {
+    const { selected, streamFields } = pickRendition(cache.url, cache.streams, quality);
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            videoUrl: selected.url,
+            quality: selected.quality,
+            expiresAt: cache.expiresAt,
+            ...streamFields,
+            provider: source.provider.name,
+            cached: true,
+            message: 'Video URL served from cache'
+        }
+    };
+}
+
+/**
+ * Error response for a failed scrape result: status, stable `code` and
+ * public message by failure class (internal details are only logged)
+ * @param {object|null} result - Failed scrape result
+ * @param {object} extra - Fields identifying the video
+ * @returns {{statusCode: number, body: object}}
+ */
+function scrapeFailureResponse(result, extra) {
+    const { statusCode, body } = describeScrapeFailure(result);
+    return {
+        statusCode,
+        body: { ...body, provider: (result && result.provider) || undefined, ...extra }
+    };
+}
+
+/**
+ * Send a {statusCode, body} response, with a Retry-After header when the body carries retryAfter
+ */
+function sendResponse(res, { statusCode, body }) {
+    if (body.retryAfter) {
+        res.setHeader('Retry-After', String(body.retryAfter));
+    }
+    return res.status(statusCode).json(body);
+}
+
+/**
+ * Scrape a video URL, cache it and build the API response
+ * @param {{provider: object, id: string}} source - Provider and canonical video ID
+ * @param {string|number} cacheKey - Cache key for the video (a movie ID for /api/video)
+ * @param {string} quality - Requested quality ('best', 'lowest', '720p', ...)
+ * @param {Function} [onProgress] - Scrape stage listener
+ * @returns {Promise<{statusCode: number, body: object}>}
+ */
+async function scrapeVideo(source, cacheKey, quality, onProgress) {
+    try {
+        // Scrape video URL (shared with concurrent callers for the same video)
+        const freshVideoData = await getFreshVideoUrl(source.id, { onProgress });
+
+        if (freshVideoData && freshVideoData.success && freshVideoData.url) {
+            logger.info('✅ Scraping successful', {
+                videoId: source.id,
+                provider: freshVideoData.provider,
+                strategy: freshVideoData.strategy,
+                quality: freshVideoData.quality,
+                expiresAt: freshVideoData.expiresAt
+            });
+
+            await updateVideoCache(cacheKey, freshVideoData.url, freshVideoData.expiresAt, freshVideoData.streams);
+
+            const { selected, streamFields } = pickRendition(freshVideoData.url, freshVideoData.streams, quality);
+
+            return {
+                statusCode: 200,
+                body: {
+                    success: true,
+                    videoUrl: selected.url,
+                    quality: selected.quality || 'unknown',
+                    expiresAt: freshVideoData.expiresAt,
+                    ...streamFields,
+                    provider: freshVideoData.provider,
+                    strategy: freshVideoData.strategy,
+                    queue: freshVideoData.queue,
+                    cached: false,
+                    message: 'Video URL scraped successfully'
+                }
+            };
+        } else {
+            logger.warn('❌ Scraping failed', {
+                videoId: source.id,
+                errorCode: freshVideoData ? freshVideoData.errorCode : null,
+                error: freshVideoData ? freshVideoData.error : 'no result'
+            });
+
+            return scrapeFailureResponse(freshVideoData, { videoId: source.id });
+        }
+
+    } catch (error) {
+        logger.error('❌ Scraping error', { videoId: source.id, error });
+
+        return scrapeFailureResponse(null, { videoId: source.id });
+    }
+}
+
 // MAIN ENDPOINT: Scrape video URL (stateless - no database)
+// With ?async=1 a scrape job is started and its ID returned immediately (202)
 app.post('/api/scrape-video', async (req, res) => {
-    const { fbUrl, fbId } = req.body;
+    const { fbUrl, fbId, url } = req.body;
 
     try {
         // Validate input
-        if (!fbUrl && !fbId) {
+        if (!fbUrl && !fbId && !url) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required parameter: fbUrl or fbId'
+                error: 'Missing required parameter: fbUrl, fbId or url'
             });
         }
 
-        const videoIdentifier = fbId || fbUrl;
+        const quality = getRequestedQuality(req);
+        if (!quality) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid quality',
+                message: 'Use best, lowest or a resolution like 720p'
+            });
+        }
 
-        console.log(`🔄 Scraping request for: ${videoIdentifier}`);
+        const source = await resolveSourceOrReject(fbId || fbUrl || url, res);
+        if (!source) {
+            return;
+        }
+        const videoId = source.id;
 
-        // Check Facebook scraping rate limit
-        const fbLimit = fbRateLimiter.canScrape();
-        if (!fbLimit.allowed) {
-            console.log(`⏳ Facebook rate limit: waiting ${fbLimit.waitTime}s`);
-            return res.status(429).json({
-                success: false,
-                error: 'Facebook scraping rate limit',
-                message: `Please wait ${fbLimit.waitTime} seconds to avoid blocking`,
-                retryAfter: fbLimit.waitTime
+        logger.info('🔄 Scraping request', { videoId });
+
+        // Serve from cache when possible (keyed by video, not movie)
+        const cacheKey = `video:${videoId}`;
+        const cache = await getCachedVideo(cacheKey);
+        if (cache.valid) {
+            return sendResponse(res, cachedVideoResponse(cache, source, quality));
+        }
+
+        // Check the client's scrape budget (Facebook scrapes then wait their turn in the scrape queue)
+        if (await rejectIfOverScrapeBudget(req, res, videoId)) {
+            return;
+        }
+
+        if (['1', 'true'].includes(String(req.query.async))) {
+            const job = scrapeJobs.create(videoId, req.id);
+
+            scrapeVideo(source, cacheKey, quality, (stage, data) => scrapeJobs.progress(job.id, stage, data))
+                .then(({ body }) => scrapeJobs.finish(job.id, body));
+
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                eventsUrl: `/api/jobs/${job.id}/events`,
+                message: 'Scrape job started'
             });
         }
 
-        // Scrape video URL
-        const freshVideoData = await getFreshVideoUrl(videoIdentifier);
+        return sendResponse(res, await scrapeVideo(source, cacheKey, quality));
 
-        if (freshVideoData && freshVideoData.success && freshVideoData.url) {
-            console.log(`✅ Scraping successful`);
-            console.log(`📊 Quality: ${freshVideoData.quality}`);
-            console.log(`⏰ Expires: ${freshVideoData.expiresAt}`);
+    } catch (error) {
+        logger.error('❌ Scraping error', { error });
+
+        return sendResponse(res, scrapeFailureResponse(null, {}));
+    }
+});
+
+/**
+ * Scrape one video of a batch, unless the client's scrape budget is used up
+ * or the server is shutting down
+ * @param {{source: object, cacheKey: string}} video
+ * @param {string} quality - Requested quality
+ * @param {object} client - Requesting client (scrape budget)
+ * @returns {Promise<{statusCode: number, body: object}>}
+ */
+async function scrapeBatchVideo(video, quality, client) {
+    if (isShuttingDown()) {
+        return SHUTTING_DOWN_RESPONSE;
+    }
+
+    const overBudget = await checkScrapeBudget(client, video.source.id);
+    if (overBudget) {
+        return overBudget;
+    }
+
+    return scrapeVideo(video.source, video.cacheKey, quality);
+}
+
+// Batch scrape: one result per distinct input, in input order. Inputs naming
+// the same video share one lookup. Cached videos answer at once; the rest are
+// scraped BATCH_SCRAPE_CONCURRENCY at a time (Facebook scrapes still wait
+// their turn in the scrape queue) and each counts against the scrape budget.
+// With ?stream=1 (or Accept: application/x-ndjson) each result is sent as an
+// NDJSON line as soon as it is known, followed by a summary line.
+app.post('/api/scrape-videos', async (req, res) => {
+    const { videos } = req.body;
+
+    const isVideoRef = video => (typeof video === 'string' && video.trim() !== '') || Number.isFinite(video);
+    if (!Array.isArray(videos) || videos.length === 0 || !videos.every(isVideoRef)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid videos',
+            message: 'Send `videos`: a non-empty array of video IDs or URLs'
+        });
+    }
+
+    // Numeric IDs are accepted like fbId on /api/scrape-video
+    const inputs = [...new Set(videos.map(video => String(video).trim()))];
+    if (inputs.length > config.batch.maxVideos) {
+        return res.status(400).json({
+            success: false,
+            error: 'Too many videos',
+            message: `Send at most ${config.batch.maxVideos} videos per request`
+        });
+    }
+
+    const quality = getRequestedQuality(req);
+    if (!quality) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid quality',
+            message: 'Use best, lowest or a resolution like 720p'
+        });
+    }
+
+    const streaming = ['1', 'true'].includes(String(req.query.stream)) ||
+        req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+
+    // Don't start scrapes nobody is waiting for
+    let clientGone = false;
+    res.on('close', () => {
+        clientGone = !res.writableFinished;
+    });
+
+    logger.info('📦 Batch scrape request', { videos: inputs.length, streaming });
+
+    const results = new Array(inputs.length);
+    const record = (index, { statusCode, body }, extra = {}) => {
+        results[index] = { input: inputs[index], statusCode, ...extra, ...body };
+        if (streaming && !clientGone) {
+            res.write(`${JSON.stringify(results[index])}\n`);
+        }
+    };
+
+    if (streaming) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+    }
+
+    try {
+        // Map every input to its video first (short links are followed here)
+        const videosByKey = new Map(); // Map<cacheKey, {source, cacheKey, indexes}>
+        const sources = await Promise.all(inputs.map(input => resolveSource(input).catch(error => ({ error }))));
+        sources.forEach((source, index) => {
+            if (source.error) {
+                return record(index, invalidSourceResponse(source.error));
+            }
+
+            const cacheKey = `video:${source.id}`;
+            const video = videosByKey.get(cacheKey) || { source, cacheKey, indexes: [] };
+            video.indexes.push(index);
+            videosByKey.set(cacheKey, video);
+        });
+
+        const recordVideo = (video, response) => {
+            video.indexes.forEach(index => record(index, response, { videoId: video.source.id }));
+        };
+
+        // Serve cached videos right away
+        const misses = [];
+        await Promise.all([...videosByKey.values()].map(async (video) => {
+            const cache = await getCachedVideo(video.cacheKey);
+            if (cache.valid) {
+                recordVideo(video, cachedVideoResponse(cache, video.source, quality));
+            } else {
+                misses.push(video);
+            }
+        }));
+        misses.sort((a, b) => a.indexes[0] - b.indexes[0]);
+
+        const worker = async () => {
+            for (let video = misses.shift(); video && !clientGone; video = misses.shift()) {
+                recordVideo(video, await scrapeBatchVideo(video, quality, req.client));
+            }
+        };
+        await Promise.all(Array.from({ length: config.batch.scrapeConcurrency }, worker));
+
+        if (clientGone) {
+            logger.info('🔌 Batch client disconnected, remaining videos skipped', { skipped: misses.length });
+            return;
+        }
+
+        const summary = {
+            total: results.length,
+            succeeded: results.filter(result => result.success).length,
+            failed: results.filter(result => !result.success).length,
+            cached: results.filter(result => result.cached).length
+        };
+        logger.info('📦 Batch scrape finished', summary);
+
+        if (streaming) {
+            return res.end(`${JSON.stringify({ done: true, summary })}\n`);
+        }
+        return res.json({ success: true, summary, results });
+
+    } catch (error) {
+        logger.error('❌ Batch scrape error', { error });
+
+        if (res.headersSent) {
+            return res.end();
+        }
+        return sendResponse(res, scrapeFailureResponse(null, {}));
+    }
+});
+
+// Scrape job status (polling)
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = scrapeJobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found',
+            message: 'The job ID is unknown or the job has expired'
+        });
+    }
+
+    res.json({ success: true, job: scrapeJobs.toJSON(job) });
+});
+
+// Scrape job progress (Server-Sent Events)
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = scrapeJobs.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found',
+            message: 'The job ID is unknown or the job has expired'
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const send = (event) => {
+        const finished = event.stage === 'done' || event.stage === 'failed';
+        const payload = finished ? { ...event, result: job.result } : event;
+        res.write(`event: ${finished ? event.stage : 'progress'}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    // Replay what already happened
+    job.events.forEach(send);
+
+    if (job.status !== 'running') {
+        return res.end();
+    }
+
+    const onEnd = () => res.end();
+    job.emitter.on('event', send);
+    job.emitter.on('end', onEnd);
+
+    req.on('close', () => {
+        job.emitter.off('event', send);
+        job.emitter.off('end', onEnd);
+    });
+});
+
+/**
+ * Resolve the upstream URL to stream, from cache or by scraping
+ * @param {{provider: object, id: string}} source - From resolveSource()
+ * @param {string} quality - Requested quality
+ * @param {boolean} forceRefresh - Drop the cached URL and scrape a new one
+ * @param {object} client - Requesting client (scrape budget)
+ * @returns {Promise<string>}
+ */
+async function resolveStreamUrl(source, quality, forceRefresh, client) {
+    const videoIdentifier = source.id;
+    const cacheKey = `video:${videoIdentifier}`;
+
+    if (forceRefresh) {
+        await deleteCachedVideo(cacheKey);
+    } else {
+        const cache = await getCachedVideo(cacheKey);
+        if (cache.valid) {
+            return pickStreamUrl(source.provider, cache.url, cache.streams, quality);
+        }
+    }
+
+    const overBudget = await checkScrapeBudget(client, videoIdentifier);
+    if (overBudget) {
+        const error = new Error(overBudget.body.message);
+        error.statusCode = overBudget.statusCode;
+        error.failure = overBudget;
+        throw error;
+    }
+
+    const freshVideoData = await getFreshVideoUrl(videoIdentifier);
+
+    if (!freshVideoData || !freshVideoData.success || !freshVideoData.url) {
+        const failure = scrapeFailureResponse(freshVideoData, {});
+        const error = new Error(failure.body.message);
+        error.statusCode = failure.statusCode;
+        error.failure = failure;
+        throw error;
+    }
+
+    await updateVideoCache(cacheKey, freshVideoData.url, freshVideoData.expiresAt, freshVideoData.streams);
+    return pickStreamUrl(source.provider, freshVideoData.url, freshVideoData.streams, quality);
+}
+
+/**
+ * Pick the single file to stream; DASH tracks can't be proxied as one video,
+ * and only URLs on the provider's own CDN are proxied at all
+ */
+function pickStreamUrl(provider, url, streams, quality) {
+    const { selected, streamFields } = pickRendition(url, streams, quality);
+
+    if (streamFields.type === 'dash') {
+        const error = new Error('This video is served as DASH (separate audio/video). Use the manifest from /api/scrape-video instead.');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    if (!provider.isStreamUrl(selected.url)) {
+        const error = new Error('This video\'s host is not streamed through this server. Use videoUrl from /api/scrape-video instead.');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return selected.url;
+}
+
+// Stream a scraped video through this server (HTTP Range / 206 supported)
+app.get('/api/stream/:id', async (req, res) => {
+    const quality = getRequestedQuality(req);
+    if (!quality) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid quality',
+            message: 'Use best, lowest or a resolution like 720p'
+        });
+    }
+
+    const source = await resolveSourceOrReject(req.params.id, res);
+    if (!source) {
+        return;
+    }
+    const videoIdentifier = source.id;
+
+    try {
+        await proxyVideoStream(req, res, (forceRefresh) => resolveStreamUrl(source, quality, forceRefresh, req.client));
+    } catch (error) {
+        logger.error('❌ Stream error', { videoId: videoIdentifier, error });
+
+        if (res.headersSent) {
+            return res.destroy();
+        }
+
+        if (error.failure) {
+            return sendResponse(res, { ...error.failure, body: { ...error.failure.body, videoId: videoIdentifier } });
+        }
+
+        return res.status(error.statusCode || 502).json({
+            success: false,
+            error: 'Stream failed',
+            message: error.statusCode ? error.message : 'Unable to stream this video right now. Please try again later.',
+            videoId: videoIdentifier
+        });
+    }
+});
+
+// Get video URL for a movie (cached, or scraped and cached)
+app.get('/api/video/:movieId', async (req, res) => {
+    const movieId = parseInt(req.params.movieId, 10);
+
+    if (!Number.isInteger(movieId) || movieId <= 0 || String(movieId) !== req.params.movieId) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid movie ID'
+        });
+    }
+
+    const quality = getRequestedQuality(req);
+    if (!quality) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid quality',
+            message: 'Use best, lowest or a resolution like 720p'
+        });
+    }
+
+    try {
+        const movie = await getMovieById(movieId);
+
+        if (!movie || !movie.video_url) {
+            return res.status(404).json({
+                success: false,
+                error: 'Video not found',
+                movie_id: movieId
+            });
+        }
+
+        // Serve from cache when the URL is still valid
+        const cache = await getCachedVideo(movieId);
+        if (cache.valid) {
+            const { selected, streamFields } = pickRendition(cache.url, cache.streams, quality);
+            const provider = findProvider(movie.video_url);
 
             return res.json({
                 success: true,
-                videoUrl: freshVideoData.url,
-                quality: freshVideoData.quality || 'unknown',
-                expiresAt: freshVideoData.expiresAt,
-                type: 'direct',
-                message: 'Video URL scraped successfully'
+                url: selected.url,
+                quality: selected.quality,
+                ...streamFields,
+                provider: provider ? provider.name : null,
+                cached: true,
+                expires_at: cache.expiresAt,
+                movie_id: movie.id,
+                title: movie.title
             });
-        } else {
-            console.error(`❌ Scraping failed for: ${videoIdentifier}`);
+        }
 
-            return res.status(500).json({
+        let source;
+        try {
+            source = await resolveSource(movie.video_url);
+        } catch (error) {
+            logger.error('❌ Movie has an unusable video_url', { movieId, videoUrl: movie.video_url });
+            return res.status(404).json({
                 success: false,
-                error: 'Failed to retrieve video URL from Facebook',
-                message: 'The Facebook video may be private, deleted, or temporarily unavailable. Please check the video ID and try again.',
-                videoId: videoIdentifier
+                error: 'Video not found',
+                message: 'This movie does not reference a supported video',
+                movie_id: movieId
             });
         }
+        const videoId = source.id;
+
+        logger.info('🔄 Cache miss for movie, scraping', { movieId, videoId });
+
+        if (await rejectIfOverScrapeBudget(req, res, videoId)) {
+            return;
+        }
+
+        // Same scrape, cache update and failure responses as POST /api/scrape-video, cached by movie ID
+        const result = await scrapeVideo(source, movieId, quality);
+        if (!result.body.success) {
+            return sendResponse(res, { ...result, body: { ...result.body, movie_id: movieId } });
+        }
+
+        // This route's field names predate the scrape endpoint's
+        const { videoUrl, expiresAt, message, ...fields } = result.body;
+        return res.json({
+            ...fields,
+            url: videoUrl,
+            expires_at: expiresAt,
+            movie_id: movie.id,
+            title: movie.title
+        });
 
     } catch (error) {
-        console.error(`❌ SCRAPING ERROR:`, error.message);
+        logger.error('❌ Video error', { movieId, error });
 
         return res.status(500).json({
             success: false,
-            error: 'Scraping failed',
-            message: 'Unable to access Facebook video. The video may require authentication, be private, or be unavailable in your region.',
-            details: error.message
+            error: 'Server error',
+            message: 'Unable to retrieve the video right now. Please try again later.'
         });
     }
 });
 
+// Admin API (bearer token): cache management, API keys and config
+app.use('/api', createAdminRouter());
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({
@@ -194,37 +1053,89 @@ app.use((req, res) => {
         error: 'Endpoint not found',
         availableEndpoints: [
             'GET  /api/health',
-            'POST /api/scrape-video'
+            'GET  /api/health/live',
+            'GET  /api/health/ready',
+            'GET  /metrics',
+            'GET  /api/video/:movieId',
+            'GET  /api/stream/:id',
+            'POST /api/scrape-video',
+            'POST /api/scrape-videos',
+            'GET  /api/jobs/:jobId',
+            'GET  /api/jobs/:jobId/events',
+            'GET  /api/cache/stats (admin)',
+            'GET  /api/cache/expiring (admin)',
+            'POST /api/cache/purge-expired (admin)',
+            'DELETE /api/cache/:key (admin)',
+            'POST /api/cache/:key/refresh (admin)',
+            'GET  /api/keys (admin)',
+            'POST /api/keys (admin)',
+            'PATCH /api/keys/:id (admin)',
+            'DELETE /api/keys/:id (admin)',
+            'GET  /api/config (admin)'
         ]
     });
 });
 
 // Global error handler
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
+    // Only errors meant for clients (e.g. malformed JSON bodies) expose their message
+    const statusCode = err.expose && err.status ? err.status : 500;
+
+    // Body parser errors arrive outside the request's log context, so name the request here.
+    // Bad requests (400, 413, ...) are the client's fault, not a server error.
+    const fields = { requestId: req.id, method: req.method, path: req.path, error: err };
+    if (statusCode < 500) {
+        logger.warn('⚠️  Rejected bad request', fields);
+    } else {
+        logger.error('❌ Unhandled error', fields);
+    }
+    res.status(statusCode).json({
         success: false,
-        error: 'Internal server error',
-        message: err.message
+        error: statusCode === 500 ? 'Internal server error' : 'Bad request',
+        message: err.expose ? err.message : 'An unexpected error occurred'
     });
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log('\n' + '='.repeat(50));
-    console.log(`🚀 CineDrive Scraper API (Stateless)`);
-    console.log(`📍 Running on: http://localhost:${PORT}`);
-    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔒 Rate Limit: ${rateLimiter.maxRequests} req/min`);
-    console.log(`⏱️  FB Delay: ${fbRateLimiter.minDelayMs}ms`);
-    console.log('='.repeat(50) + '\n');
+const server = app.listen(PORT, () => {
+    const queue = scrapeScheduler.getStats();
+    logger.info('🚀 CineDrive Scraper API (Stateless) started', {
+        url: `http://localhost:${PORT}`,
+        environment: config.server.environment,
+        anonymousTier: anonymousTier.enabled ? `${anonymousTier.requestsPerWindow} req/${rateLimiter.windowMs / 1000}s` : 'disabled',
+        rateLimiting: `${rateLimiter.algorithm} (${rateLimitStore.backend} store)`,
+        apiKeys: apiKeys.list().length,
+        scrapeQueue: `${queue.minSpacingMs}ms apart, ${queue.maxConcurrency} at once, ${queue.maxQueueLength} waiting`,
+        browserPages: getBrowserStats().maxPages,
+        cacheBackend: config.cache.backend,
+        corsOrigins: CORS_ORIGINS.length,
+        adminApi: config.admin.token ? 'enabled' : 'disabled (set ADMIN_API_TOKEN)'
+    });
 
     // Start background cleanup
-    rateLimiter.startCleanup();
+    startLimiterCleanup();
+
+    // Background refresh keeps the movies table cache warm (needs the MySQL cache)
+    const cacheBackend = config.cache.backend;
+    if (!config.backgroundRefresh.enabled) {
+        logger.info('⏸️  Background refresh disabled (BG_REFRESH_ENABLED=false)');
+    } else if (cacheBackend !== 'mysql') {
+        logger.info('⏸️  Background refresh skipped', { cacheBackend });
+    } else {
+        backgroundRefresh.start();
+    }
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n⏹️  Shutting down server...');
-    process.exit(0);
+// Graceful shutdown: finish in-flight requests and scrapes, then release
+// the browser, database pool and rate limiter store (see shutdown.js)
+onShutdown('rate limiter store', () => rateLimitStore.close());
+
+handleShutdownSignals({
+    server,
+    timeoutMs: config.shutdown.timeoutMs,
+    drain: async () => {
+        // The current refresh run is waited for, so it can't start scrapes after the drain
+        await backgroundRefresh.stop();
+        await waitForInFlightScrapes();
+    }
 });
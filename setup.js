@@ -137,7 +137,7 @@ async function createEnvFile() {
     const dbHost = await prompt(`${colors.blue}Database Host${colors.reset} [localhost]: `) || 'localhost';
     const dbUser = await prompt(`${colors.blue}Database User${colors.reset} [root]: `) || 'root';
     const dbPassword = await prompt(`${colors.blue}Database Password${colors.reset} [press Enter for empty]: `) || '';
-    const dbName = await prompt(`${colors.blue}Database Name${colors.reset} [sinhbtve_cinedrive]: `) || 'sinhbtve_cinedrive';
+    const dbName = await prompt(`${colors.blue}Database Name${colors.reset} [cinedrive]: `) || 'cinedrive';
     const port = await prompt(`${colors.blue}Server Port${colors.reset} [3000]: `) || '3000';
     
     // Create .env content
@@ -171,25 +171,29 @@ NODE_ENV=development
     }
 }
 
+// Database settings, read (and validated) the same way the server reads them.
+// Loaded on first use, once step 3 has written .env
+function getDbConfig() {
+    return require('./config').config.db;
+}
+
 // Step 4: Test MySQL connection
 async function testMySQLConnection() {
     printStep(4, 'Testing MySQL connection...');
     
-    // Load environment variables
-    require('dotenv').config();
-    
     const mysql = require('mysql2/promise');
     
     try {
+        const db = getDbConfig();
         const connection = await mysql.createConnection({
-            host: process.env.DB_HOST || 'localhost',
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD || '',
-            database: process.env.DB_NAME || 'sinhbtve_cinedrive'
+            host: db.host,
+            user: db.user,
+            password: db.password,
+            database: db.name
         });
         
         printSuccess('MySQL connection successful');
-        printInfo(`Connected to: ${process.env.DB_NAME}@${process.env.DB_HOST}`);
+        printInfo(`Connected to: ${db.name}@${db.host}`);
         
         await connection.end();
         return true;
@@ -204,7 +208,7 @@ async function testMySQLConnection() {
             printWarning('Access denied - check your database credentials');
             printInfo('Edit backend/.env file with correct credentials');
         } else if (error.code === 'ER_BAD_DB_ERROR') {
-            printWarning(`Database "${process.env.DB_NAME}" does not exist`);
+            printWarning(`Database "${getDbConfig().name}" does not exist`);
             printInfo('Create the database first or check the database name');
         }
         
@@ -216,15 +220,15 @@ async function testMySQLConnection() {
 async function runMigrations() {
     printStep(5, 'Running database migrations...');
     
-    require('dotenv').config();
     const mysql = require('mysql2/promise');
     
     try {
+        const db = getDbConfig();
         const connection = await mysql.createConnection({
-            host: process.env.DB_HOST || 'localhost',
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD || '',
-            database: process.env.DB_NAME || 'sinhbtve_cinedrive'
+            host: db.host,
+            user: db.user,
+            password: db.password,
+            database: db.name
         });
         
         // Check if columns already exist
@@ -234,7 +238,7 @@ async function runMigrations() {
             WHERE TABLE_SCHEMA = ? 
             AND TABLE_NAME = 'movies' 
             AND COLUMN_NAME IN ('cached_video_url', 'url_expires_at')
-        `, [process.env.DB_NAME]);
+        `, [db.name]);
         
         if (columns.length === 2) {
             printInfo('Migration columns already exist - skipping');
@@ -293,15 +297,15 @@ async function runMigrations() {
 async function seedSampleData() {
     printStep(6, 'Checking for sample data...');
     
-    require('dotenv').config();
     const mysql = require('mysql2/promise');
     
     try {
+        const db = getDbConfig();
         const connection = await mysql.createConnection({
-            host: process.env.DB_HOST || 'localhost',
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD || '',
-            database: process.env.DB_NAME || 'sinhbtve_cinedrive'
+            host: db.host,
+            user: db.user,
+            password: db.password,
+            database: db.name
         });
         
         // Check if movies table has data
@@ -397,7 +401,7 @@ async function seedSampleData() {
 function startServer() {
     printStep(7, 'Starting the server...');
     
-    printInfo('Server will start on port ' + (process.env.PORT || 3000));
+    printInfo('Server will start on port ' + require('./config').config.server.port);
     printSuccess('Setup completed successfully!');
     
     console.log(`\n${colors.green}${colors.bold}╔════════════════════════════════════════════════════════════════════╗${colors.reset}`);
@@ -0,0 +1,125 @@
+const { logger } = require('./logger');
+
+/**
+ * Shutdown coordinator. On SIGTERM or SIGINT: stop accepting connections,
+ * let in-flight requests and scrapes finish until the drain deadline, then
+ * run the cleanup hooks registered with onShutdown() and exit. A second
+ * signal exits at once.
+ *
+ * Exits with 0 after a clean shutdown, 1 when the deadline cut work short,
+ * draining failed or a cleanup hook failed.
+ */
+
+// Time each cleanup hook gets after draining
+const HOOK_TIMEOUT_MS = 5000;
+
+const hooks = []; // [{name, fn}], run in registration order
+let shuttingDown = false;
+
+/**
+ * Register a cleanup step (close a pool, clear a timer, ...)
+ * @param {string} name - Shown in logs
+ * @param {Function} fn - () => Promise|void
+ */
+function onShutdown(name, fn) {
+    hooks.push({ name, fn });
+}
+
+/**
+ * @returns {boolean} - Whether a shutdown has started (new requests should be refused)
+ */
+function isShuttingDown() {
+    return shuttingDown;
+}
+
+/**
+ * Resolve to true when `promise` settles within `ms`, false otherwise
+ */
+function settlesWithin(promise, ms) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), ms);
+    });
+    return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Shut down once
+ * @param {object} options
+ * @param {import('http').Server} options.server
+ * @param {Function} options.drain - () => Promise, resolves when in-flight work (scrapes) is done
+ * @param {number} options.timeoutMs - Drain deadline
+ * @param {string} reason - Signal name, for the logs
+ * @returns {Promise<number>} - Exit code
+ */
+async function shutdown(options, reason) {
+    shuttingDown = true;
+    const startedAt = Date.now();
+    logger.info('⏹️  Shutting down server...', { reason, timeoutMs: options.timeoutMs });
+
+    // close() only ends keep-alive connections that are idle at the time, so keep sweeping
+    const server = options.server;
+    const closed = new Promise(resolve => server.close(() => resolve()));
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+
+    // A failed drain is logged and still ends in the cleanup hooks, with exit code 1
+    let drainFailed = false;
+    const drain = (async () => {
+        try {
+            await options.drain();
+        } catch (error) {
+            logger.error('❌ Draining in-flight work failed', { error });
+            drainFailed = true;
+        }
+    })();
+
+    const drained = await settlesWithin(Promise.all([closed, drain]), options.timeoutMs);
+    clearInterval(idleSweep);
+
+    let exitCode = 0;
+    if (!drained) {
+        logger.warn('⚠️  Shutdown deadline passed, closing remaining connections', { timeoutMs: options.timeoutMs });
+        server.closeAllConnections();
+        exitCode = 1;
+    } else if (drainFailed) {
+        exitCode = 1;
+    } else {
+        logger.info('✅ In-flight requests and scrapes finished', { durationMs: Date.now() - startedAt });
+    }
+
+    for (const hook of hooks) {
+        try {
+            const done = await settlesWithin(Promise.resolve().then(hook.fn), HOOK_TIMEOUT_MS);
+            if (!done) {
+                logger.warn('⚠️  Cleanup step timed out', { step: hook.name, timeoutMs: HOOK_TIMEOUT_MS });
+                exitCode = 1;
+            }
+        } catch (error) {
+            logger.error('❌ Cleanup step failed', { step: hook.name, error });
+            exitCode = 1;
+        }
+    }
+
+    logger.info('👋 Shutdown complete', { exitCode, durationMs: Date.now() - startedAt });
+    return exitCode;
+}
+
+/**
+ * Shut down on SIGTERM (container orchestrators) and SIGINT (Ctrl+C)
+ * @param {object} options - See shutdown()
+ */
+function handleShutdownSignals(options) {
+    const onSignal = (signal) => {
+        if (shuttingDown) {
+            logger.warn('⚠️  Second signal, exiting without waiting', { signal });
+            process.exit(1);
+        }
+
+        shutdown(options, signal).then((exitCode) => process.exit(exitCode));
+    };
+
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+}
+
+module.exports = { onShutdown, isShuttingDown, shutdown, handleShutdownSignals };
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { hostGuard } = require('./hostGuard');
+
+// Upstream headers passed through to the client
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+// Signed fbcdn URLs answer these once they expire or are revoked
+const EXPIRED_STATUSES = [403, 410];
+
+const MAX_REFRESHES = 2;
+const MAX_RESUMES = 5;
+
+/**
+ * Parse a single `Range: bytes=start-end` header
+ * @returns {{start: number, end: number|null}|null} - Null if absent or unsupported
+ */
+function parseRange(header) {
+    const match = /^bytes=(\d+)-(\d*)$/.exec((header || '').trim());
+    if (!match) return null;
+
+    return {
+        start: parseInt(match[1], 10),
+        end: match[2] ? parseInt(match[2], 10) : null
+    };
+}
+
+function openUpstream(url, range) {
+    const headers = {};
+    if (range) {
+        headers.Range = `bytes=${range.start}-${range.end === null ? '' : range.end}`;
+    }
+
+    return axios.get(url, {
+        responseType: 'stream',
+        headers,
+        timeout: config.stream.upstreamTimeoutMs,
+        maxRedirects: 5,
+        // A CDN redirect must not lead into our own network either
+        ...hostGuard.requestOptions,
+        validateStatus: () => true
+    });
+}
+
+/**
+ * Pipe an upstream body into the response with backpressure
+ * @param {Function} onBytes - Called with each chunk's length
+ * @returns {Promise<'end'|'error'|'closed'>}
+ */
+function pipeBody(upstream, res, onBytes) {
+    return new Promise((resolve) => {
+        let settled = false;
+        const settle = (outcome) => {
+            if (settled) return;
+            settled = true;
+            res.off('close', onClose);
+            resolve(outcome);
+        };
+        const onClose = () => {
+            upstream.destroy();
+            settle('closed');
+        };
+
+        upstream.on('data', (chunk) => {
+            onBytes(chunk.length);
+            if (!res.write(chunk)) {
+                upstream.pause();
+                res.once('drain', () => upstream.resume());
+            }
+        });
+        upstream.on('end', () => settle('end'));
+        upstream.on('error', () => settle('error'));
+        res.on('close', onClose);
+    });
+}
+
+/**
+ * Proxy a video with HTTP Range support. When the upstream URL expires
+ * (403/410), the URL is re-resolved and the transfer resumes from the
+ * same byte offset, also in the middle of a response.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} resolveUrl - async (forceRefresh) => upstream URL
+ */
+async function proxyVideoStream(req, res, resolveUrl) {
+    const requested = parseRange(req.headers.range);
+    const end = requested ? requested.end : null;
+    let offset = requested ? requested.start : 0; // Next byte the client expects
+    let url = await resolveUrl(false);
+    let refreshes = 0;
+    let resumes = 0;
+
+    while (true) {
+        // Once headers are out, every further request continues at `offset`
+        const range = requested || res.headersSent ? { start: offset, end } : null;
+
+        let upstream;
+        try {
+            upstream = await openUpstream(url, range);
+        } catch (error) {
+            if (res.headersSent) return res.destroy();
+            throw error;
+        }
+
+        if (EXPIRED_STATUSES.includes(upstream.status)) {
+            upstream.data.destroy();
+
+            if (refreshes >= MAX_REFRESHES) {
+                if (res.headersSent) return res.destroy();
+                return res.status(502).json({
+                    success: false,
+                    error: 'Upstream video unavailable',
+                    message: 'The video URL keeps being rejected by the CDN'
+                });
+            }
+
+            refreshes++;
+            logger.info('🔁 Stream URL rejected, re-resolving', { status: upstream.status, offset });
+            url = await resolveUrl(true);
+            continue;
+        }
+
+        if (!res.headersSent) {
+            if (upstream.status >= 400 && upstream.status !== 416) {
+                upstream.data.destroy();
+                return res.status(502).json({
+                    success: false,
+                    error: 'Upstream video unavailable',
+                    message: `The CDN answered ${upstream.status}`
+                });
+            }
+
+            res.status(upstream.status);
+            for (const name of FORWARDED_HEADERS) {
+                if (upstream.headers[name]) res.setHeader(name, upstream.headers[name]);
+            }
+            res.setHeader('Cache-Control', 'no-store');
+        } else if (upstream.status !== 206) {
+            // Resuming needs a partial response; anything else would corrupt the body
+            upstream.data.destroy();
+            return res.destroy();
+        }
+
+        const outcome = await pipeBody(upstream.data, res, (bytes) => {
+            offset += bytes;
+        });
+
+        if (outcome === 'end') return res.end();
+        if (outcome === 'closed') return;
+
+        // Upstream broke mid-body: reopen from the current offset
+        if (++resumes > MAX_RESUMES) return res.destroy();
+        logger.info('🔁 Stream interrupted, resuming', { offset });
+    }
+}
+
+module.exports = {
+    proxyVideoStream,
+    parseRange
+};
@@ -0,0 +1,485 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { startFakeFacebook, VIDEOS, VIDEO_BYTES } = require('./fixtures/fakeFacebook');
+
+let fixture;
+let server;
+let api;
+
+const ADMIN_TOKEN = 'test-admin-token';
+const STREAM_LIMIT = 6;
+const admin = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+const apiKeysFile = path.join(os.tmpdir(), `cinedrive-test-keys-${process.pid}.json`);
+
+function getFreePort() {
+    return new Promise((resolve) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start server.js against the fixture server and wait until it answers
+ * @param {object} env - Extra environment variables
+ */
+async function startServer(env = {}) {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            ...fixture.env,
+            PORT: String(port),
+            CACHE_BACKEND: 'memory',
+            BG_REFRESH_ENABLED: 'false',
+            FB_SCRAPE_DELAY_MS: '1',
+            RATE_LIMIT_MAX_REQUESTS: '1000',
+            STREAM_RATE_LIMIT_MAX_REQUESTS: String(STREAM_LIMIT),
+            ADMIN_API_TOKEN: ADMIN_TOKEN,
+            API_KEYS_FILE: apiKeysFile,
+            CORS_ORIGINS: 'https://app.example',
+            // Browser branches are covered by browserScraper.test.js; here Chrome is never available
+            PUPPETEER_EXECUTABLE_PATH: path.join(__dirname, 'no-chrome'),
+            ...env
+        },
+        stdio: 'ignore'
+    });
+
+    const client = axios.create({ baseURL: `http://127.0.0.1:${port}`, validateStatus: () => true });
+    for (let attempt = 0; attempt < 50; attempt++) {
+        try {
+            await client.get('/api/health');
+            return { child, client };
+        } catch (e) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    child.kill();
+    throw new Error('server.js did not start');
+}
+
+function scrape(body, query = '') {
+    return api.post(`/api/scrape-video${query}`, body);
+}
+
+describe('HTTP API', () => {
+    before(async () => {
+        fixture = await startFakeFacebook();
+        ({ child: server, client: api } = await startServer());
+    });
+
+    after(async () => {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill('SIGINT');
+        await exited;
+        await fixture.close();
+        fs.rmSync(apiKeysFile, { force: true });
+    });
+
+    it('reports health and providers', async () => {
+        const res = await api.get('/api/health');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.data.status, 'ok');
+        assert.deepStrictEqual(res.data.providers, ['facebook', 'generic']);
+    });
+
+    it('answers liveness, and readiness with a per-check breakdown', async () => {
+        const live = await api.get('/api/health/live');
+        assert.strictEqual(live.status, 200);
+        assert.strictEqual(live.data.status, 'ok');
+
+        // Chrome is missing here, so the service is not ready
+        const ready = await api.get('/api/health/ready');
+        assert.strictEqual(ready.status, 503);
+        assert.strictEqual(ready.data.status, 'not_ready');
+        assert.strictEqual(ready.data.checks.browser.status, 'fail');
+        assert.strictEqual(ready.data.checks.database.status, 'skip');
+        assert.strictEqual(ready.data.checks.scrapeQueue.status, 'pass');
+        assert.strictEqual(ready.data.checks.scrapeSuccess.status, 'pass');
+    });
+
+    it('allows the configured CORS origins only', async () => {
+        const allowed = await api.get('/api/health', { headers: { Origin: 'https://app.example' } });
+        assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://app.example');
+
+        const other = await api.get('/api/health', { headers: { Origin: 'https://zinema.lk' } });
+        assert.strictEqual(other.headers['access-control-allow-origin'], undefined);
+    });
+
+    it('echoes request IDs in headers and error bodies', async () => {
+        const generated = await api.get('/api/health');
+        assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+
+        const given = await api.get('/api/nope', { headers: { 'X-Request-Id': 'trace-123' } });
+        assert.strictEqual(given.status, 404);
+        assert.strictEqual(given.headers['x-request-id'], 'trace-123');
+        assert.strictEqual(given.data.requestId, 'trace-123');
+
+        // Unusable IDs are replaced rather than echoed
+        const replaced = await api.get('/api/health', { headers: { 'X-Request-Id': 'bad id <script>' } });
+        assert.notStrictEqual(replaced.headers['x-request-id'], 'bad id <script>');
+        assert.strictEqual(replaced.data.requestId, undefined);
+    });
+
+    it('rejects missing, invalid and unsupported input', async () => {
+        assert.strictEqual((await scrape({})).status, 400);
+        assert.strictEqual((await scrape({ fbUrl: 'https://www.facebook.com/somepage' })).status, 400);
+        assert.strictEqual((await scrape({ fbId: VIDEOS.EMBEDDED, quality: 'hd' })).status, 400);
+
+        const malformed = await api.post('/api/scrape-video', '{"fbId":', { headers: { 'Content-Type': 'application/json' } });
+        assert.strictEqual(malformed.status, 400);
+        assert.strictEqual(malformed.data.success, false);
+        assert.strictEqual(malformed.data.requestId, malformed.headers['x-request-id']);
+    });
+
+    it('scrapes via HTML extraction, then serves from cache', async () => {
+        const first = await scrape({ fbId: VIDEOS.EMBEDDED });
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.data.provider, 'facebook');
+        assert.strictEqual(first.data.strategy, 'html');
+        assert.strictEqual(first.data.quality, '720p');
+        assert.strictEqual(first.data.cached, false);
+
+        const second = await scrape({ fbUrl: `https://www.facebook.com/watch/?v=${VIDEOS.EMBEDDED}`, quality: '360p' });
+        assert.strictEqual(second.status, 200);
+        assert.strictEqual(second.data.cached, true);
+        assert.strictEqual(second.data.quality, '360p');
+    });
+
+    it('answers 404 with a stable code for unavailable videos', async () => {
+        const res = await scrape({ fbId: VIDEOS.DELETED });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.data.code, 'CONTENT_UNAVAILABLE');
+        assert.strictEqual(res.data.retryable, false);
+        assert.strictEqual(res.data.provider, 'facebook');
+        assert.strictEqual(res.data.details, undefined);
+    });
+
+    it('answers 503 with Retry-After when blocked or without a browser', async () => {
+        const blocked = await scrape({ fbId: VIDEOS.BLOCKED });
+        assert.strictEqual(blocked.status, 503);
+        assert.strictEqual(blocked.data.code, 'UPSTREAM_BLOCKED');
+        assert.strictEqual(blocked.headers['retry-after'], String(blocked.data.retryAfter));
+
+        const noBrowser = await scrape({ fbId: VIDEOS.INSTANT });
+        assert.strictEqual(noBrowser.status, 503);
+        assert.strictEqual(noBrowser.data.code, 'BROWSER_LAUNCH_FAILED');
+        assert.strictEqual(noBrowser.data.retryable, true);
+        assert.ok(Number(noBrowser.headers['retry-after']) > 0);
+    });
+
+    it('scrapes other sites with the generic provider', async () => {
+        const res = await scrape({ url: `${fixture.baseUrl}/page` });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.data.provider, 'generic');
+        assert.strictEqual(res.data.videoUrl, `${fixture.baseUrl}/media/clip_720p.mp4`);
+        assert.strictEqual(res.data.renditions.length, 2);
+
+        // Private addresses are never fetched, cloud metadata included
+        const metadata = await api.get(`/api/stream/${encodeURIComponent('http://169.254.169.254/latest/meta-data')}`);
+        assert.strictEqual(metadata.status, 403);
+        assert.strictEqual(metadata.data.code, 'HOST_NOT_ALLOWED');
+
+        // Hosts outside GENERIC_STREAM_HOSTS are never proxied
+        const stream = await api.get(`/api/stream/${encodeURIComponent(`${fixture.baseUrl}/page`)}`);
+        assert.strictEqual(stream.status, 403);
+    });
+
+    it('resolves batches with per-video results', async () => {
+        const watchUrl = `https://www.facebook.com/watch/?v=${VIDEOS.EMBEDDED}`;
+        const res = await api.post('/api/scrape-videos', {
+            videos: [VIDEOS.EMBEDDED, watchUrl, VIDEOS.EMBEDDED, VIDEOS.DELETED, 'not a video', `${fixture.baseUrl}/page?batch=1`]
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.data.summary, { total: 5, succeeded: 3, failed: 2, cached: 2 });
+
+        const [cached, sameVideo, unavailable, invalid, scraped] = res.data.results;
+        assert.strictEqual(cached.input, VIDEOS.EMBEDDED);
+        assert.strictEqual(cached.cached, true);
+        assert.strictEqual(sameVideo.videoId, VIDEOS.EMBEDDED);
+        assert.strictEqual(sameVideo.videoUrl, cached.videoUrl);
+        assert.strictEqual(unavailable.statusCode, 404);
+        assert.strictEqual(unavailable.code, 'CONTENT_UNAVAILABLE');
+        assert.strictEqual(invalid.statusCode, 400);
+        assert.strictEqual(scraped.provider, 'generic');
+        assert.strictEqual(scraped.cached, false);
+    });
+
+    it('accepts numeric IDs in batches like fbId', async () => {
+        const res = await api.post('/api/scrape-videos', { videos: [Number(VIDEOS.EMBEDDED)] });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.data.results[0].input, VIDEOS.EMBEDDED);
+        assert.strictEqual(res.data.results[0].videoId, VIDEOS.EMBEDDED);
+        assert.strictEqual(res.data.summary.succeeded, 1);
+    });
+
+    it('streams batch results as NDJSON and validates batches', async () => {
+        const res = await api.post('/api/scrape-videos?stream=1', { videos: [VIDEOS.DELETED, VIDEOS.EMBEDDED] }, { responseType: 'text' });
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers['content-type'], /^application\/x-ndjson/);
+        const lines = res.data.trim().split('\n').map(line => JSON.parse(line));
+        // Cached videos come first, whatever their position in the batch
+        assert.deepStrictEqual(lines.map(line => line.input || 'summary'), [VIDEOS.EMBEDDED, VIDEOS.DELETED, 'summary']);
+        assert.strictEqual(lines[2].done, true);
+        assert.strictEqual(lines[2].summary.total, 2);
+
+        assert.strictEqual((await api.post('/api/scrape-videos', { videos: [] })).status, 400);
+        assert.strictEqual((await api.post('/api/scrape-videos', { videos: [{ id: 42 }] })).status, 400);
+        assert.strictEqual((await api.post('/api/scrape-videos', { videos: [null] })).status, 400);
+        const tooMany = Array.from({ length: 51 }, (_, i) => String(100 + i));
+        assert.strictEqual((await api.post('/api/scrape-videos', { videos: tooMany })).status, 400);
+    });
+
+    it('runs async scrape jobs and reports them over SSE', async () => {
+        const started = await scrape({ fbId: VIDEOS.DASH }, '?async=1');
+        assert.strictEqual(started.status, 202);
+
+        let job;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            job = (await api.get(started.data.statusUrl)).data.job;
+            if (job.status !== 'running') break;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        assert.strictEqual(job.status, 'done');
+        assert.strictEqual(job.requestId, started.headers['x-request-id']);
+        assert.strictEqual(job.result.type, 'dash');
+        assert.ok(job.result.manifest.includes('<MPD'));
+
+        const events = await api.get(started.data.eventsUrl, { responseType: 'text' });
+        assert.ok(events.data.includes('event: progress'));
+        assert.ok(events.data.includes('event: done'));
+
+        assert.strictEqual((await api.get('/api/jobs/unknown')).status, 404);
+    });
+
+    it('streams byte ranges through the proxy', async () => {
+        const res = await api.get(`/api/stream/${VIDEOS.EMBEDDED}`, {
+            headers: { Range: 'bytes=100-199' },
+            responseType: 'arraybuffer'
+        });
+
+        assert.strictEqual(res.status, 206);
+        assert.strictEqual(res.headers['content-range'], `bytes 100-199/${VIDEO_BYTES.length}`);
+        assert.strictEqual(res.data.length, 100);
+    });
+
+    it('refuses to proxy DASH videos', async () => {
+        const res = await api.get(`/api/stream/${VIDEOS.DASH}`);
+        assert.strictEqual(res.status, 409);
+    });
+
+    it('meters streams with their own rate limit', async () => {
+        let res;
+        for (let i = 0; i < STREAM_LIMIT + 1; i++) {
+            res = await api.get(`/api/stream/${VIDEOS.DASH}`);
+            if (res.status === 429) break;
+        }
+
+        assert.strictEqual(res.status, 429);
+        assert.strictEqual(res.headers['x-ratelimit-limit'], String(STREAM_LIMIT));
+        assert.ok(Number(res.headers['retry-after']) > 0);
+        // Other endpoints keep their own quota
+        assert.strictEqual((await scrape({ fbId: VIDEOS.EMBEDDED })).status, 200);
+    });
+
+    it('requires the admin token for cache management', async () => {
+        const missing = await api.get('/api/cache/stats');
+        assert.strictEqual(missing.status, 401);
+        assert.ok(missing.headers['www-authenticate'].startsWith('Bearer'));
+
+        const wrong = await api.get('/api/cache/stats', { headers: { Authorization: 'Bearer nope' } });
+        assert.strictEqual(wrong.status, 401);
+    });
+
+    it('shows the running config to admins, without secrets', async () => {
+        assert.strictEqual((await api.get('/api/config')).status, 401);
+
+        const res = await api.get('/api/config', admin);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.data.values.cache.backend, 'memory');
+        assert.strictEqual(res.data.values.admin.token, '[redacted]');
+        assert.ok(res.data.setFromEnv.includes('ADMIN_API_TOKEN'));
+        assert.ok(!JSON.stringify(res.data).includes(ADMIN_TOKEN));
+    });
+
+    it('lists, refreshes and deletes cache entries', async () => {
+        const key = `video:${VIDEOS.EMBEDDED}`;
+
+        const stats = await api.get('/api/cache/stats', admin);
+        assert.strictEqual(stats.status, 200);
+        assert.strictEqual(stats.data.cache.backend, 'memory');
+        assert.ok(stats.data.cache.cached >= 1);
+        assert.ok(stats.data.lookups.hits >= 1);
+
+        const expiring = await api.get('/api/cache/expiring?hours=2', admin);
+        assert.strictEqual(expiring.status, 200);
+        const entry = expiring.data.entries.find(e => e.key === key);
+        assert.ok(entry);
+        assert.strictEqual(entry.expired, false);
+        assert.strictEqual((await api.get('/api/cache/expiring?limit=0', admin)).status, 400);
+
+        const refreshed = await api.post(`/api/cache/${key}/refresh`, null, admin);
+        assert.strictEqual(refreshed.status, 200);
+        assert.strictEqual(refreshed.data.provider, 'facebook');
+        assert.strictEqual(refreshed.data.strategy, 'html');
+        assert.strictEqual(refreshed.data.cached, true);
+
+        const unavailable = await api.post(`/api/cache/video:${VIDEOS.DELETED}/refresh`, null, admin);
+        assert.strictEqual(unavailable.status, 404);
+        assert.strictEqual(unavailable.data.code, 'CONTENT_UNAVAILABLE');
+
+        assert.strictEqual((await api.delete(`/api/cache/${key}`, admin)).status, 200);
+        assert.strictEqual((await api.delete(`/api/cache/${key}`, admin)).status, 404);
+        assert.strictEqual((await api.delete('/api/cache/abc', admin)).status, 400);
+
+        const purged = await api.post('/api/cache/purge-expired', null, admin);
+        assert.strictEqual(purged.status, 200);
+        assert.strictEqual(purged.data.cleared, 0);
+    });
+
+    it('manages API keys through the admin API', async () => {
+        assert.strictEqual((await api.get('/api/keys')).status, 401);
+        assert.strictEqual((await api.post('/api/keys', { name: '' }, admin)).status, 400);
+        assert.strictEqual((await api.post('/api/keys', { name: 'x', allowedOrigins: ['not an origin'] }, admin)).status, 400);
+
+        const created = await api.post('/api/keys', { name: 'Partner', scrapeBudget: 5 }, admin);
+        assert.strictEqual(created.status, 201);
+        assert.ok(created.data.key.startsWith('cd_'));
+        assert.strictEqual(created.data.apiKey.scrapeBudget, 5);
+
+        const listed = await api.get('/api/keys', admin);
+        const record = listed.data.keys.find(k => k.id === created.data.apiKey.id);
+        assert.strictEqual(record.name, 'Partner');
+        assert.strictEqual(record.keyHash, undefined);
+        assert.ok(!JSON.stringify(listed.data).includes(created.data.key));
+
+        const updated = await api.patch(`/api/keys/${record.id}`, { requestsPerWindow: 7 }, admin);
+        assert.strictEqual(updated.data.apiKey.requestsPerWindow, 7);
+
+        const keyed = await api.get('/api/video/abc', { headers: { 'X-API-Key': created.data.key } });
+        assert.strictEqual(keyed.headers['x-ratelimit-limit'], '7');
+
+        assert.strictEqual((await api.delete(`/api/keys/${record.id}`, admin)).status, 200);
+        assert.strictEqual((await api.delete(`/api/keys/${record.id}`, admin)).status, 404);
+        assert.strictEqual((await api.get('/api/video/abc', { headers: { 'X-API-Key': created.data.key } })).status, 401);
+    });
+
+    it('applies per-key request quotas, scrape budgets and origins', async () => {
+        const { data } = await api.post('/api/keys', {
+            name: 'Quota',
+            requestsPerWindow: 2,
+            scrapeBudget: 1,
+            allowedOrigins: ['https://partner.example']
+        }, admin);
+        const headers = { 'X-API-Key': data.key };
+
+        assert.strictEqual((await api.get('/api/video/abc', { headers: { 'X-API-Key': 'cd_unknown' } })).status, 401);
+        assert.strictEqual((await api.get('/api/video/abc', { headers: { ...headers, Origin: 'https://other.example' } })).status, 403);
+
+        const first = await scrape({ url: `${fixture.baseUrl}/page?budget=1` }, `?api_key=${data.key}`);
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.headers['x-ratelimit-limit'], '2');
+        assert.strictEqual(first.headers['x-ratelimit-remaining'], '1');
+        assert.ok(Number(first.headers['x-ratelimit-reset']) >= Math.floor(Date.now() / 1000));
+
+        const overBudget = await api.post('/api/scrape-video', { url: `${fixture.baseUrl}/page?budget=2` }, { headers });
+        assert.strictEqual(overBudget.status, 429);
+        assert.strictEqual(overBudget.data.code, 'SCRAPE_BUDGET_EXHAUSTED');
+        assert.ok(Number(overBudget.headers['retry-after']) > 0);
+
+        const limited = await api.get('/api/video/abc', { headers: { ...headers, Origin: 'https://partner.example' } });
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.data.requestId, limited.headers['x-request-id']);
+        assert.strictEqual(limited.headers['access-control-allow-origin'], 'https://partner.example');
+        assert.ok(Number(limited.headers['retry-after']) > 0);
+
+        // Anonymous requests keep their own quota
+        assert.strictEqual((await api.get('/api/video/abc')).status, 400);
+    });
+
+    it('exposes Prometheus metrics', async () => {
+        const response = await api.get('/metrics');
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+
+        const metrics = response.data;
+        assert.match(metrics, /# TYPE cinedrive_http_requests_total counter/);
+        assert.match(metrics, /cinedrive_http_requests_total\{method="POST",route="\/api\/scrape-video",status="200"\} \d+/);
+        assert.match(metrics, /cinedrive_http_request_duration_seconds_bucket\{method="GET",route="\/api\/video\/:movieId",le="\+Inf"\} \d+/);
+        assert.match(metrics, /cinedrive_scrapes_total\{provider="facebook",result="success"\} \d+/);
+        assert.match(metrics, /cinedrive_scrapes_total\{provider="facebook",result="CONTENT_UNAVAILABLE"\} \d+/);
+        assert.match(metrics, /cinedrive_scrape_duration_seconds_count\{provider="facebook",method="html",outcome="success"\} \d+/);
+        assert.match(metrics, /cinedrive_rate_limit_rejections_total\{limiter="requests"\} [1-9]/);
+        assert.match(metrics, /cinedrive_rate_limit_rejections_total\{limiter="scrape_budget"\} [1-9]/);
+        assert.match(metrics, /cinedrive_cache_hit_ratio (0|1|0\.\d+)\n/);
+        assert.match(metrics, /cinedrive_browser_pages\{state="active"\} 0/);
+        assert.match(metrics, /cinedrive_scrape_queue_rejections_total\{reason="queue_full"\} 0/);
+    });
+
+    it('validates movie IDs and unknown endpoints', async () => {
+        assert.strictEqual((await api.get('/api/video/abc')).status, 400);
+        assert.strictEqual((await api.get('/api/nope')).status, 404);
+    });
+});
+
+describe('graceful shutdown', () => {
+    let child;
+
+    function exitCode() {
+        return new Promise(resolve => child.once('exit', resolve));
+    }
+
+    before(async () => {
+        fixture = await startFakeFacebook();
+    });
+
+    after(async () => {
+        // A failed test may leave the server running
+        if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+        await fixture.close();
+        fs.rmSync(apiKeysFile, { force: true });
+    });
+
+    it('lets in-flight scrapes finish on SIGTERM, then exits with 0', async () => {
+        let client;
+        ({ child, client } = await startServer());
+
+        // The watch page never answers, so this scrape runs until SCRAPE_TIMEOUT_MS
+        const pending = client.post('/api/scrape-video', { fbId: VIDEOS.TIMEOUT });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const exited = exitCode();
+        child.kill('SIGTERM');
+
+        const res = await pending;
+        assert.strictEqual(res.status, 503);
+        assert.strictEqual(res.data.code, 'BROWSER_LAUNCH_FAILED');
+        assert.strictEqual(await exited, 0);
+    });
+
+    it('cuts remaining work at SHUTDOWN_TIMEOUT_MS and exits with 1', async () => {
+        let client;
+        ({ child, client } = await startServer({ SHUTDOWN_TIMEOUT_MS: '200' }));
+
+        const pending = client.post('/api/scrape-video', { fbId: VIDEOS.TIMEOUT });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const exited = exitCode();
+        child.kill('SIGTERM');
+
+        await assert.rejects(pending, /socket hang up|ECONNRESET/);
+        assert.strictEqual(await exited, 1);
+    });
+});
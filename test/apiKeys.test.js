@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+
+// Info lines go to stdout, which the Node 20 test runner can misread; warnings and errors still show
+process.env.LOG_LEVEL = 'warn';
+
+const apiKeys = require('../apiKeys');
+
+const keysFile = path.join(os.tmpdir(), `cinedrive-keys-unit-${process.pid}.json`);
+after(() => fs.promises.rm(keysFile, { force: true }));
+
+describe('apiKeys', () => {
+    it('reports a failed write to the caller and keeps saving later changes', async () => {
+        apiKeys.keys = new Map();
+        // Its directory is this test file, which mkdir can't create
+        apiKeys.filePath = path.join(__filename, 'keys.json');
+        await assert.rejects(apiKeys.create({ name: 'lost' }), { code: 'EEXIST' });
+
+        apiKeys.filePath = keysFile;
+        const { record } = await apiKeys.create({ name: 'kept' });
+
+        const saved = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+        assert.ok(saved.some(entry => entry.id === record.id));
+    });
+
+    it('allows a zero scrape budget for cache-only keys', async () => {
+        apiKeys.keys = new Map();
+        apiKeys.filePath = keysFile;
+
+        const { record } = await apiKeys.create({ name: 'cache only', scrapeBudget: 0 });
+        assert.strictEqual(record.scrapeBudget, 0);
+
+        await assert.rejects(apiKeys.create({ name: 'negative', scrapeBudget: -1 }), { statusCode: 400 });
+        await assert.rejects(apiKeys.create({ name: 'fraction', scrapeBudget: 1.5 }), { statusCode: 400 });
+        await assert.rejects(apiKeys.create({ name: 'no quota', requestsPerWindow: 0 }), { statusCode: 400 });
+    });
+});
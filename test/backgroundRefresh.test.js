@@ -0,0 +1,36 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+
+// Info lines go to stdout, which the Node 20 test runner can misread; warnings and errors still show
+process.env.LOG_LEVEL = 'warn';
+
+// backgroundRefresh picks these up when it loads, so they are replaced first
+const movieService = require('../movieService');
+const providers = require('../providers');
+const cacheService = require('../cacheService');
+
+const movies = [1, 2, 3].map(id => ({ id, title: `Movie ${id}`, video_url: String(1000 + id), url_expires_at: new Date() }));
+mock.method(movieService, 'getMoviesExpiringWithin', async () => movies);
+mock.method(providers, 'resolveSource', async (input) => ({ id: input }));
+mock.method(cacheService, 'updateVideoCache', async () => { });
+const scrapes = mock.method(providers, 'getFreshVideoUrl', () => new Promise(resolve => {
+    setTimeout(() => resolve({ success: true, url: 'https://video.example/v.mp4', quality: '720p' }), 50);
+}));
+
+const backgroundRefresh = require('../backgroundRefresh');
+
+describe('backgroundRefresh', () => {
+    it('finishes the current movie on stop() and skips the rest', async () => {
+        const run = backgroundRefresh.run();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        await backgroundRefresh.stop();
+        const report = await run;
+
+        assert.strictEqual(scrapes.mock.callCount(), 1);
+        assert.strictEqual(report.refreshed, 1);
+        assert.strictEqual(report.stopped, true);
+        assert.strictEqual(backgroundRefresh.running, false);
+        assert.strictEqual(await backgroundRefresh.run(), null);
+    });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeFacebook, VIDEOS } = require('./fixtures/fakeFacebook');
+
+const chromePath = process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/google-chrome-stable';
+const skip = fs.existsSync(chromePath) ? false : `Chrome not found at ${chromePath} (set PUPPETEER_EXECUTABLE_PATH)`;
+
+let fixture;
+let scraper;
+let browserPool;
+
+/**
+ * Scrape in the browser and collect the reported stages
+ */
+async function scrape(videoId) {
+    const stages = [];
+    const result = await scraper.scrapeWithNetworkInterception(videoId, (stage, data = {}) => {
+        stages.push(data.method ? `${stage}:${data.method}` : stage);
+    });
+    return { result, stages };
+}
+
+before(async () => {
+    fixture = await startFakeFacebook();
+    Object.assign(process.env, fixture.env, { BROWSER_POOL_SIZE: '1' });
+    scraper = require('../videoScraper');
+    browserPool = require('../browserPool');
+});
+
+after(async () => {
+    await browserPool.close();
+    await fixture.close();
+});
+
+/**
+ * Stand-in for a Puppeteer page: goto() sends `requests` through the scrape's
+ * request listener, everything else finds nothing
+ * @param {Array<{url: string, resourceType: string}>} requests
+ */
+function stubPage(requests) {
+    const page = new EventEmitter();
+    const handled = [];
+
+    Object.assign(page, {
+        setRequestInterception: async () => { },
+        goto: async (url) => {
+            for (const { url: requestUrl, resourceType } of requests) {
+                const request = {
+                    url: () => requestUrl,
+                    resourceType: () => resourceType,
+                    abort: () => handled.push({ url: requestUrl, action: 'abort' }),
+                    continue: () => handled.push({ url: requestUrl, action: 'continue' })
+                };
+                page.emit('request', request);
+            }
+            return { status: () => 200 };
+        },
+        url: () => fixture.baseUrl,
+        content: async () => '<html></html>',
+        waitForSelector: async () => { throw new Error('No video element'); },
+        evaluate: async () => null
+    });
+
+    return { page, handled };
+}
+
+describe('browser request interception (stubbed page)', () => {
+    it('captures CDN renditions and blocks media from other hosts', async (t) => {
+        const cdn = `${fixture.baseUrl}/cdn/v`;
+        const lookalike = `https://evil.example/?x=${fixture.baseUrl.replace('http://', '')}/cdn/v_1080p.mp4`;
+        const { page, handled } = stubPage([
+            { url: `${fixture.baseUrl}/player.js`, resourceType: 'script' },
+            { url: lookalike, resourceType: 'media' },
+            { url: `${cdn}/stub_720p.mp4?oe=6553F100`, resourceType: 'media' },
+            { url: `${cdn}/stub_360p.mp4?oe=6553F100`, resourceType: 'xhr' },
+            { url: `${fixture.baseUrl}/poster.jpg`, resourceType: 'image' }
+        ]);
+        t.mock.method(browserPool, 'acquire', async () => ({ page }));
+        const release = t.mock.method(browserPool, 'release', async () => { });
+
+        const result = await scraper.scrapeWithNetworkInterception(VIDEOS.INSTANT);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.quality, '720p');
+        assert.deepStrictEqual(result.renditions.map(r => r.quality), ['720p', '360p']);
+        assert.ok(result.renditions.every(r => r.url.startsWith(cdn)));
+        assert.deepStrictEqual(handled.map(entry => entry.action), ['continue', 'abort', 'abort', 'abort', 'abort']);
+        assert.strictEqual(release.mock.callCount(), 1);
+    });
+
+    it('fails when only non-CDN media is requested', async (t) => {
+        const { page } = stubPage([
+            { url: `https://evil.example/?x=${fixture.baseUrl.replace('http://', '')}/cdn/v_720p.mp4`, resourceType: 'media' }
+        ]);
+        t.mock.method(browserPool, 'acquire', async () => ({ page }));
+        t.mock.method(browserPool, 'release', async () => { });
+
+        const result = await scraper.scrapeWithNetworkInterception(VIDEOS.INSTANT);
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorCode, 'NO_MEDIA_CAPTURED');
+    });
+});
+
+describe('browser scraping', { skip }, () => {
+    it('captures an mp4 requested on page load', async () => {
+        const { result, stages } = await scrape(VIDEOS.INSTANT);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.quality, '720p');
+        assert.ok(result.url.startsWith(`${fixture.baseUrl}/cdn/v/instant_720p.mp4`));
+        assert.deepStrictEqual(stages, ['launching', 'navigating', 'capture:network']);
+    });
+
+    it('clicks the video when nothing is requested on load', async () => {
+        const { result, stages } = await scrape(VIDEOS.PLAY);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.quality, '480p');
+        assert.deepStrictEqual(stages, ['launching', 'navigating', 'play-fallback', 'capture:play']);
+    });
+
+    it('falls back to the <video src> attribute', async () => {
+        const { result, stages } = await scrape(VIDEOS.SRC);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.quality, '360p');
+        assert.ok(result.url.startsWith(`${fixture.baseUrl}/cdn/v/src_360p.webm`));
+        assert.ok(stages.includes('capture:src'));
+    });
+
+    it('fails on a private video', async () => {
+        const { result } = await scrape(VIDEOS.PRIVATE);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorCode, 'CONTENT_UNAVAILABLE');
+    });
+
+    it('fails behind a login wall', async () => {
+        const { result } = await scrape(VIDEOS.LOGIN);
+        assert.strictEqual(result.errorCode, 'LOGIN_REQUIRED');
+    });
+
+    it('fails when the page never loads', async () => {
+        const { result } = await scrape(VIDEOS.TIMEOUT);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorCode, 'NAVIGATION_TIMEOUT');
+    });
+
+    it('uses HTML extraction without a browser page when it finds URLs', async () => {
+        const leases = browserPool.getStats().leases;
+        const result = await scraper.scrapeFacebookVideo(VIDEOS.EMBEDDED);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.strategy, 'html');
+        assert.strictEqual(browserPool.getStats().leases, leases);
+    });
+
+    it('checks pages that only read as unavailable in the browser', async () => {
+        const stages = [];
+        const result = await scraper.scrapeFacebookVideo(VIDEOS.PRIVATE, (stage) => stages.push(stage));
+
+        assert.strictEqual(result.errorCode, 'CONTENT_UNAVAILABLE');
+        assert.ok(stages.includes('launching'));
+    });
+
+    it('falls back to the browser when HTML extraction finds nothing', async () => {
+        const result = await scraper.scrapeFacebookVideo(VIDEOS.INSTANT);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.strategy, 'browser');
+    });
+
+    it('returns pages to the pool without the scrape\'s listeners', async () => {
+        await scrape(VIDEOS.INSTANT);
+
+        const [entry] = browserPool.idle;
+        assert.strictEqual(entry.page.listenerCount('request'), 0);
+        assert.strictEqual(entry.page.listenerCount('response'), 0);
+    });
+});
@@ -0,0 +1,106 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, describeConfig } = require('../config');
+
+describe('loadConfig', () => {
+    it('applies defaults', () => {
+        const config = loadConfig({});
+
+        assert.strictEqual(config.server.port, 3000);
+        assert.strictEqual(config.scraper.timeoutMs, 30000);
+        assert.strictEqual(config.scraper.playFallbackWaitMs, 5000);
+        assert.strictEqual(config.cache.backend, 'memory');
+        assert.strictEqual(config.anonymous.enabled, true);
+        assert.ok(config.cors.origins.includes('https://zinema.lk'));
+        assert.ok(config.browser.args.includes('--no-sandbox'));
+        assert.strictEqual(config.log.format, 'pretty');
+        assert.strictEqual(loadConfig({ NODE_ENV: 'production' }).log.format, 'json');
+    });
+
+    it('parses typed values and treats empty ones as unset', () => {
+        const config = loadConfig({
+            PORT: '8080',
+            CORS_ORIGINS: 'https://a.example, https://b.example:8443',
+            BROWSER_ARGS: '--no-sandbox,--lang=en-US',
+            ANONYMOUS_ACCESS: 'false',
+            CACHE_VERIFY_URLS: 'yes',
+            TRUST_PROXY_ROUTES: '{"/api/stream":"loopback"}',
+            FACEBOOK_BASE_URL: 'http://127.0.0.1:9000/',
+            SCRAPE_TIMEOUT_MS: ''
+        });
+
+        assert.strictEqual(config.server.port, 8080);
+        assert.deepStrictEqual(config.cors.origins, ['https://a.example', 'https://b.example:8443']);
+        assert.deepStrictEqual(config.browser.args, ['--no-sandbox', '--lang=en-US']);
+        assert.strictEqual(config.anonymous.enabled, false);
+        assert.strictEqual(config.cache.verifyUrls, true);
+        assert.deepStrictEqual(config.proxy.routes, { '/api/stream': 'loopback' });
+        assert.strictEqual(config.scraper.facebookBaseUrl, 'http://127.0.0.1:9000');
+        assert.strictEqual(config.scraper.timeoutMs, 30000);
+        assert.ok(Object.isFrozen(config.server));
+    });
+
+    it('falls back to RATE_LIMIT_MAX_REQUESTS for anonymous clients', () => {
+        assert.strictEqual(loadConfig({ RATE_LIMIT_MAX_REQUESTS: '25' }).anonymous.maxRequests, 25);
+        assert.strictEqual(loadConfig({ RATE_LIMIT_MAX_REQUESTS: '25', ANON_RATE_LIMIT_MAX_REQUESTS: '5' }).anonymous.maxRequests, 5);
+    });
+
+    it('reports every invalid setting at once', () => {
+        assert.throws(() => loadConfig({
+            PORT: 'eighty',
+            SCRAPE_TIMEOUT_MS: '10',
+            CACHE_BACKEND: 'redis',
+            CORS_ORIGINS: 'https://ok.example,https://bad.example/path',
+            TRUST_PROXY_ROUTES: '{"/api/stream":',
+            FACEBOOK_CDN_PATTERN: '(unclosed'
+        }), (error) => {
+            assert.strictEqual(error.code, 'INVALID_CONFIG');
+            assert.strictEqual(error.problems.length, 6);
+            assert.match(error.message, /PORT must be an integer, got "eighty"/);
+            assert.match(error.message, /SCRAPE_TIMEOUT_MS must be at least 1000, got 10/);
+            assert.match(error.message, /CACHE_BACKEND must be one of memory, file, mysql/);
+            assert.match(error.message, /bad\.example\/path" is not an origin/);
+            return true;
+        });
+    });
+
+    it('checks settings that depend on each other', () => {
+        assert.throws(() => loadConfig({ RATE_LIMIT_STORE: 'redis' }), /REDIS_URL is required when RATE_LIMIT_STORE=redis/);
+        assert.throws(() => loadConfig({ SCRAPE_TIMEOUT_MS: '4000' }), /PLAY_FALLBACK_WAIT_MS must be shorter/);
+    });
+});
+
+describe('describeConfig', () => {
+    it('redacts secrets and lists what came from the environment', () => {
+        const env = {
+            ADMIN_API_TOKEN: 'super-secret',
+            DB_PASSWORD: 'hunter2',
+            REDIS_URL: 'redis://:pa55@cache.internal:6379',
+            PORT: '4000'
+        };
+        const { values, setFromEnv } = describeConfig(loadConfig(env), env);
+
+        assert.strictEqual(values.admin.token, '[redacted]');
+        assert.strictEqual(values.db.password, '[redacted]');
+        assert.strictEqual(values.redis.url, 'redis://:redacted@cache.internal:6379');
+        assert.strictEqual(values.metrics.token, '');
+        assert.strictEqual(values.server.port, 4000);
+        assert.deepStrictEqual(setFromEnv.sort(), ['ADMIN_API_TOKEN', 'DB_PASSWORD', 'PORT', 'REDIS_URL']);
+        assert.ok(!JSON.stringify(values).includes('super-secret'));
+    });
+
+    it('exits at startup with the list of problems', () => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'config.js')], {
+            env: { ...process.env, PORT: '0', LOG_LEVEL: 'loud' },
+            encoding: 'utf8',
+            timeout: 10000
+        });
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /Invalid configuration/);
+        assert.match(result.stderr, /PORT must be at least 1/);
+        assert.match(result.stderr, /LOG_LEVEL must be one of debug, info, warn, error/);
+    });
+});
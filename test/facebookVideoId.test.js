@@ -0,0 +1,34 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeFacebook, VIDEOS } = require('./fixtures/fakeFacebook');
+
+let fixture;
+let facebookVideoId;
+
+// Config is read once, so the fixture's settings go in first
+before(async () => {
+    fixture = await startFakeFacebook();
+    Object.assign(process.env, fixture.env);
+    facebookVideoId = require('../facebookVideoId');
+});
+
+after(() => fixture.close());
+
+describe('followShortLink', () => {
+    it('follows redirects to the video ID', async () => {
+        assert.strictEqual(await facebookVideoId.followShortLink(`${fixture.baseUrl}/share/v/abc/`), VIDEOS.EMBEDDED);
+    });
+
+    it('refuses redirects to private addresses', async () => {
+        await assert.rejects(facebookVideoId.followShortLink(`${fixture.baseUrl}/share/v/metadata/`), { code: 'BLOCKED_HOST', statusCode: 403 });
+        assert.ok(!fixture.requests.some(request => request.includes('meta-data')));
+    });
+
+    it('refuses redirects that leave Facebook', async () => {
+        await assert.rejects(facebookVideoId.followShortLink(`${fixture.baseUrl}/share/v/elsewhere/`), /left Facebook for video\.example/);
+    });
+
+    it('refuses a first hop outside Facebook', async () => {
+        await assert.rejects(facebookVideoId.followShortLink('http://169.254.169.254/share/v/abc/'), { code: 'BLOCKED_HOST' });
+    });
+});
@@ -0,0 +1,216 @@
+const http = require('http');
+
+/**
+ * Local stand-in for facebook.com watch pages and the fbcdn.net CDN, so the
+ * scraper and the API can be tested without network access.
+ *
+ * Watch pages (GET /watch?v=<id>), one per scraper branch:
+ *   INSTANT   - the page requests an mp4 as soon as it loads (network capture)
+ *   PLAY      - the mp4 is only requested once the <video> is clicked (play fallback)
+ *   SRC       - the <video src> is a CDN .webm, which network capture ignores (src fallback)
+ *   PRIVATE   - a "content isn't available" page without a video
+ *   DELETED   - answers 404 with the same page
+ *   TIMEOUT   - the server never answers
+ *   EMBEDDED  - progressive URLs embedded in the page JSON (HTML extraction)
+ *   DASH      - only a dash_manifest embedded in the page JSON (HTML extraction, DASH)
+ *   LOGIN     - redirects to a login page
+ *   BLOCKED   - answers 429 with a "temporarily blocked" page
+ * CDN files (GET /cdn/...) answer Range requests; GET /page is a plain page with og:video.
+ * Share links (GET /share/v/<code>) redirect to EMBEDDED's facebook.com watch URL, or for the
+ * codes `metadata` and `elsewhere` to the cloud metadata address and another site.
+ */
+
+const VIDEOS = {
+    INSTANT: '100000000000001',
+    PLAY: '100000000000002',
+    SRC: '100000000000003',
+    PRIVATE: '100000000000004',
+    TIMEOUT: '100000000000005',
+    EMBEDDED: '100000000000006',
+    DASH: '100000000000007',
+    LOGIN: '100000000000008',
+    BLOCKED: '100000000000009',
+    DELETED: '100000000000010'
+};
+
+// Served for every CDN path
+const VIDEO_BYTES = Buffer.alloc(64 * 1024, 7);
+
+function expiryParam(secondsFromNow = 3600) {
+    return Math.floor(Date.now() / 1000 + secondsFromNow).toString(16).toUpperCase();
+}
+
+function page(body) {
+    return `<!DOCTYPE html><html><head><title>Fake Facebook</title></head><body>${body}</body></html>`;
+}
+
+function watchPage(videoId, baseUrl) {
+    const oe = expiryParam();
+    const cdn = `${baseUrl}/cdn/v`;
+
+    switch (videoId) {
+        case VIDEOS.INSTANT:
+            return page(`<video></video><script>fetch('/cdn/v/instant_720p.mp4?oe=${oe}');</script>`);
+        case VIDEOS.PLAY:
+            return page(`<video id="player"></video><script>
+                document.getElementById('player').addEventListener('click', () => fetch('/cdn/v/play_480p.mp4?oe=${oe}'));
+            </script>`);
+        case VIDEOS.SRC:
+            return page(`<video preload="none" src="/cdn/v/src_360p.webm?oe=${oe}"></video>`);
+        case VIDEOS.EMBEDDED: {
+            const payload = JSON.stringify({
+                video: {
+                    id: videoId,
+                    browser_native_hd_url: `${cdn}/embedded_720p.mp4?oe=${oe}`,
+                    browser_native_sd_url: `${cdn}/embedded_360p.mp4?oe=${oe}`
+                }
+            }).replace(/\//g, '\\/');
+            return page(`<script type="application/json">${payload}</script>`);
+        }
+        case VIDEOS.DASH: {
+            const mpd = '<MPD mediaPresentationDuration="PT10S"><Period>' +
+                '<AdaptationSet mimeType="video/mp4">' +
+                `<Representation id="v1" codecs="avc1.64001f" bandwidth="900000" width="1280" height="720"><BaseURL>${cdn}/dash_720p.mp4?oe=${oe}</BaseURL></Representation>` +
+                `<Representation id="v2" codecs="avc1.4d401e" bandwidth="400000" width="640" height="360"><BaseURL>${cdn}/dash_360p.mp4?oe=${oe}</BaseURL></Representation>` +
+                '</AdaptationSet><AdaptationSet mimeType="audio/mp4">' +
+                `<Representation id="a1" codecs="mp4a.40.5" bandwidth="64000"><BaseURL>${cdn}/dash_audio.mp4?oe=${oe}</BaseURL></Representation>` +
+                '</AdaptationSet></Period></MPD>';
+            return page(`<script type="application/json">${JSON.stringify({ dash_manifest: mpd })}</script>`);
+        }
+        default:
+            // PRIVATE and unknown IDs
+            return page('<h2>This content isn\'t available right now</h2>');
+    }
+}
+
+function serveCdnFile(req, res) {
+    const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    const total = VIDEO_BYTES.length;
+
+    res.setHeader('Content-Type', 'video/mp4');
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (!match) {
+        res.setHeader('Content-Length', total);
+        return res.end(VIDEO_BYTES);
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? Math.min(parseInt(match[2], 10), total - 1) : total - 1;
+    if (start >= total) {
+        res.writeHead(416, { 'Content-Range': `bytes */${total}` });
+        return res.end();
+    }
+
+    res.writeHead(206, {
+        'Content-Range': `bytes ${start}-${end}/${total}`,
+        'Content-Length': end - start + 1
+    });
+    res.end(VIDEO_BYTES.subarray(start, end + 1));
+}
+
+/**
+ * Start the fixture server on a free local port
+ * @returns {Promise<{baseUrl: string, env: object, requests: Array<string>, close: Function}>}
+ *   `env` holds the variables that point the scraper at this server
+ */
+function startFakeFacebook() {
+    const requests = [];
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const url = new URL(req.url, baseUrl);
+
+        if (url.pathname === '/watch') {
+            const videoId = url.searchParams.get('v');
+            if (videoId === VIDEOS.TIMEOUT) return; // Never answer
+            if (videoId === VIDEOS.LOGIN) {
+                res.writeHead(302, { Location: `/login.php?next=${encodeURIComponent(req.url)}` });
+                return res.end();
+            }
+            if (videoId === VIDEOS.DELETED) {
+                res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(watchPage(videoId, baseUrl));
+            }
+            if (videoId === VIDEOS.BLOCKED) {
+                res.writeHead(429, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(page('<h2>You\'re Temporarily Blocked</h2>'));
+            }
+
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.end(watchPage(videoId, baseUrl));
+        }
+
+        if (url.pathname.startsWith('/share/v/')) {
+            const targets = {
+                metadata: 'http://169.254.169.254/latest/meta-data',
+                elsewhere: 'https://video.example/watch?v=1'
+            };
+            const code = url.pathname.slice('/share/v/'.length).replace(/\/$/, '');
+            res.writeHead(302, { Location: targets[code] || `https://www.facebook.com/watch/?v=${VIDEOS.EMBEDDED}` });
+            return res.end();
+        }
+
+        if (url.pathname === '/login.php') {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.end(page('<form id="login_form"><input name="email"><input name="pass" type="password"></form>'));
+        }
+
+        if (url.pathname.startsWith('/cdn/')) {
+            return serveCdnFile(req, res);
+        }
+
+        if (url.pathname === '/page') {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.end(page(
+                '<meta property="og:video" content="/media/clip_720p.mp4">' +
+                '<video><source src="/media/clip_360p.mp4" type="video/mp4" size="360"></video>'
+            ));
+        }
+
+        res.statusCode = 404;
+        res.end();
+    });
+
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    let baseUrl;
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            baseUrl = `http://127.0.0.1:${port}`;
+
+            resolve({
+                baseUrl,
+                env: {
+                    FACEBOOK_BASE_URL: baseUrl,
+                    FACEBOOK_CDN_PATTERN: `127\\.0\\.0\\.1:${port}/cdn/`,
+                    SCRAPE_TIMEOUT_MS: '2000',
+                    PLAY_FALLBACK_WAIT_MS: '1500',
+                    RENDITION_WINDOW_MS: '200',
+                    // This server is local; real deployments refuse private hosts
+                    GENERIC_TRUSTED_HOSTS: '127.0.0.1',
+                    // Info lines go to stdout, which the Node 20 test runner can misread;
+                    // warnings and errors still show (stderr)
+                    LOG_LEVEL: 'warn'
+                },
+                requests,
+                close: () => new Promise((done) => {
+                    // Hanging TIMEOUT requests would keep the server open
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    VIDEOS,
+    VIDEO_BYTES,
+    startFakeFacebook
+};
@@ -0,0 +1,242 @@
+const net = require('net');
+
+/**
+ * Local stand-in for a Redis server: speaks RESP2 and implements the
+ * commands the rate limit store uses (strings with PX/NX, INCR, PTTL,
+ * PEXPIRE, sorted sets, WATCH/MULTI/EXEC), with real-time key expiry.
+ */
+
+function encode(value) {
+    if (value === null) return '$-1\r\n';
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    if (value && value.status) return `+${value.status}\r\n`;
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+const OK = { status: 'OK' };
+
+/**
+ * Parse complete commands (arrays of bulk strings) from the buffer
+ * @returns {{commands: Array<Array<string>>, rest: Buffer}}
+ */
+function parseCommands(buf) {
+    const commands = [];
+    let offset = 0;
+
+    while (offset < buf.length) {
+        const headerEnd = buf.indexOf('\r\n', offset);
+        if (headerEnd === -1) break;
+        const count = parseInt(buf.toString('utf8', offset + 1, headerEnd), 10);
+
+        const args = [];
+        let position = headerEnd + 2;
+        for (let i = 0; i < count; i++) {
+            const lineEnd = buf.indexOf('\r\n', position);
+            if (lineEnd === -1) return { commands, rest: buf.subarray(offset) };
+            const size = parseInt(buf.toString('utf8', position + 1, lineEnd), 10);
+            if (buf.length < lineEnd + 2 + size + 2) return { commands, rest: buf.subarray(offset) };
+            args.push(buf.toString('utf8', lineEnd + 2, lineEnd + 2 + size));
+            position = lineEnd + 2 + size + 2;
+        }
+
+        commands.push(args);
+        offset = position;
+    }
+
+    return { commands, rest: buf.subarray(offset) };
+}
+
+/**
+ * Start the stand-in on a free local port
+ * @returns {Promise<{url: string, keys: Map, commands: Array<string>, touch: Function, close: Function}>}
+ *   `commands` lists every command name received
+ */
+function startFakeRedis() {
+    const keys = new Map(); // Map<key, {type, value, expiresAt}>
+    const versions = new Map(); // Map<key, number>, bumped on every write (for WATCH)
+    const received = [];
+    const sockets = new Set();
+
+    function entry(key) {
+        const found = keys.get(key);
+        if (found && found.expiresAt !== null && found.expiresAt <= Date.now()) {
+            keys.delete(key);
+            touch(key);
+            return null;
+        }
+        return found || null;
+    }
+
+    function touch(key) {
+        versions.set(key, (versions.get(key) || 0) + 1);
+    }
+
+    function zset(key) {
+        let found = entry(key);
+        if (!found) {
+            found = { type: 'zset', value: new Map(), expiresAt: null };
+            keys.set(key, found);
+        }
+        return found;
+    }
+
+    function execute(args) {
+        const [name, key] = [args[0].toUpperCase(), args[1]];
+
+        switch (name) {
+            case 'PING':
+                return { status: 'PONG' };
+            case 'AUTH':
+            case 'SELECT':
+                return OK;
+            case 'GET': {
+                const found = entry(key);
+                return found ? found.value : null;
+            }
+            case 'SET': {
+                const options = args.slice(3).map(option => option.toUpperCase());
+                if (options.includes('NX') && entry(key)) return null;
+                const px = options.indexOf('PX');
+                keys.set(key, {
+                    type: 'string',
+                    value: args[2],
+                    expiresAt: px === -1 ? null : Date.now() + parseInt(args[3 + px + 1], 10)
+                });
+                touch(key);
+                return OK;
+            }
+            case 'INCR': {
+                const found = entry(key) || { type: 'string', value: '0', expiresAt: null };
+                found.value = String(parseInt(found.value, 10) + 1);
+                keys.set(key, found);
+                touch(key);
+                return parseInt(found.value, 10);
+            }
+            case 'PTTL': {
+                const found = entry(key);
+                if (!found) return -2;
+                return found.expiresAt === null ? -1 : found.expiresAt - Date.now();
+            }
+            case 'PEXPIRE': {
+                const found = entry(key);
+                if (!found) return 0;
+                found.expiresAt = Date.now() + parseInt(args[2], 10);
+                return 1;
+            }
+            case 'ZADD': {
+                const set = zset(key);
+                const added = set.value.has(args[3]) ? 0 : 1;
+                set.value.set(args[3], Number(args[2]));
+                touch(key);
+                return added;
+            }
+            case 'ZREM': {
+                const found = entry(key);
+                if (!found) return 0;
+                const removed = found.value.delete(args[2]) ? 1 : 0;
+                touch(key);
+                return removed;
+            }
+            case 'ZREMRANGEBYSCORE': {
+                const found = entry(key);
+                if (!found) return 0;
+                const min = args[2] === '-inf' ? -Infinity : Number(args[2]);
+                const max = Number(args[3]);
+                let removed = 0;
+                for (const [member, score] of found.value.entries()) {
+                    if (score >= min && score <= max) {
+                        found.value.delete(member);
+                        removed++;
+                    }
+                }
+                touch(key);
+                return removed;
+            }
+            case 'ZCARD': {
+                const found = entry(key);
+                return found ? found.value.size : 0;
+            }
+            case 'ZRANGE': {
+                const found = entry(key);
+                if (!found) return [];
+                const sorted = [...found.value.entries()].sort((a, b) => a[1] - b[1]);
+                const start = parseInt(args[2], 10);
+                const stop = parseInt(args[3], 10);
+                const slice = sorted.slice(start, stop < 0 ? sorted.length + stop + 1 : stop + 1);
+                const withScores = (args[4] || '').toUpperCase() === 'WITHSCORES';
+                return slice.flatMap(([member, score]) => withScores ? [member, String(score)] : [member]);
+            }
+            default:
+                return new Error(`ERR unknown command '${args[0]}'`);
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setNoDelay(true);
+
+        let buffer = Buffer.alloc(0);
+        let watched = null; // Map<key, version> while watching
+        let queued = null;  // Array of commands inside MULTI
+
+        socket.on('data', (chunk) => {
+            const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+            buffer = rest;
+
+            for (const args of commands) {
+                const name = args[0].toUpperCase();
+                received.push(name);
+
+                if (name === 'QUIT') {
+                    socket.end(encode(OK));
+                    return;
+                }
+                if (name === 'WATCH') {
+                    watched = watched || new Map();
+                    args.slice(1).forEach(key => watched.set(key, versions.get(key) || 0));
+                    socket.write(encode(OK));
+                } else if (name === 'UNWATCH') {
+                    watched = null;
+                    socket.write(encode(OK));
+                } else if (name === 'MULTI') {
+                    queued = [];
+                    socket.write(encode(OK));
+                } else if (name === 'EXEC') {
+                    const conflict = watched && [...watched.entries()].some(([key, version]) => (versions.get(key) || 0) !== version);
+                    const replies = conflict ? null : queued.map(execute);
+                    watched = null;
+                    queued = null;
+                    socket.write(encode(replies));
+                } else if (queued) {
+                    queued.push(args);
+                    socket.write(encode({ status: 'QUEUED' }));
+                } else {
+                    socket.write(encode(execute(args)));
+                }
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `redis://127.0.0.1:${port}`,
+                keys,
+                commands: received,
+                // Simulate a write from another client (makes a WATCHed transaction fail)
+                touch,
+                close: () => new Promise((done) => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startFakeRedis };
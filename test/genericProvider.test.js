@@ -0,0 +1,94 @@
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// Info lines go to stdout, which the Node 20 test runner can misread; warnings and errors still show
+process.env.LOG_LEVEL = 'warn';
+
+// Read when the module loads: `localhost` stands in for a public site, 127.0.0.1 for our own network
+process.env.GENERIC_TRUSTED_HOSTS = 'localhost';
+const genericProvider = require('../providers/generic');
+const { isPrivateAddress } = require('../hostGuard');
+
+let server;
+let site;     // Trusted
+let internal; // Blocked
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        if (req.url === '/page') {
+            return res.end(
+                `<meta property="og:video" content="${internal}/secret.mp4">` +
+                '<meta property="og:video:url" content="http://169.254.169.254/latest/meta-data.mp4">' +
+                '<video><source src="/clip_720p.mp4" type="video/mp4"></video>'
+            );
+        }
+        if (req.url === '/redirect') {
+            res.writeHead(302, { Location: `${internal}/page` });
+            return res.end();
+        }
+        if (req.url === '/hostile') {
+            // Unclosed tags made a backtracking regex rescan the rest of the page for every tag
+            return res.end('<video>'.repeat(60000) + '<meta content="x'.repeat(20000));
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    // Both stacks, whichever `localhost` resolves to
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    site = `http://localhost:${port}`;
+    internal = `http://127.0.0.1:${port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('generic provider', () => {
+    it('knows private, local and metadata addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1']) {
+            assert.strictEqual(isPrivateAddress(address), true, address);
+        }
+        for (const address of ['8.8.8.8', '157.240.1.35', '2a03:2880:f12f:83:face:b00c::25de']) {
+            assert.strictEqual(isPrivateAddress(address), false, address);
+        }
+    });
+
+    it('refuses URLs pointing into our own network', async () => {
+        await assert.rejects(genericProvider.normalize(`${internal}/latest/meta-data`), { code: 'BLOCKED_HOST', statusCode: 403 });
+        await assert.rejects(genericProvider.normalize('http://169.254.169.254/latest/meta-data'), { code: 'BLOCKED_HOST' });
+        assert.strictEqual(await genericProvider.normalize(`${site}/page#top`), `${site}/page`);
+    });
+
+    it('refuses redirects into our own network', async () => {
+        const result = await genericProvider.resolve(`${site}/redirect`);
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorCode, 'HOST_NOT_ALLOWED');
+    });
+
+    it('drops video URLs on the page that point into our own network', async () => {
+        const result = await genericProvider.resolve(`${site}/page`);
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(result.streams.map(stream => stream.url), [`${site}/clip_720p.mp4`]);
+    });
+
+    it('reports refused connections as unreachable, not as timeouts', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        const result = await genericProvider.resolve(`http://localhost:${port}/page`);
+        assert.strictEqual(result.errorCode, 'UPSTREAM_UNREACHABLE');
+    });
+
+    it('parses hostile pages in linear time', async () => {
+        const startedAt = Date.now();
+        const result = await genericProvider.resolve(`${site}/hostile`);
+
+        assert.strictEqual(result.errorCode, 'NO_MEDIA_CAPTURED');
+        assert.ok(Date.now() - startedAt < 2000, `took ${Date.now() - startedAt}ms`);
+    });
+});
@@ -0,0 +1,93 @@
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createHealthChecks } = require('../health');
+
+function fakeBrowserPool({ connected = false, launch = async () => ({}) } = {}) {
+    return {
+        getStats: () => ({ connected, activePages: 0, idlePages: 1, waiting: 0 }),
+        getBrowser: launch
+    };
+}
+
+function fakeScheduler(stats = {}) {
+    return {
+        getStats: () => ({ running: 0, queued: 0, maxConcurrency: 1, maxQueueLength: 2, ...stats })
+    };
+}
+
+function healthChecks(options = {}) {
+    return createHealthChecks({
+        browserPool: fakeBrowserPool(),
+        scheduler: fakeScheduler(),
+        // Any executable file passes the "Chrome is installed" check
+        executablePath: process.execPath,
+        pingDatabase: null,
+        timeoutMs: 200,
+        scrapeWindowMs: 60000,
+        minScrapes: 4,
+        minSuccessPercent: 50,
+        ...options
+    });
+}
+
+describe('health checks', () => {
+    it('is ready when every dependency answers', async () => {
+        const { ready, checks } = await healthChecks({ pingDatabase: async () => [] }).checkReadiness();
+
+        assert.strictEqual(ready, true);
+        assert.strictEqual(checks.browser.status, 'pass');
+        assert.strictEqual(checks.browser.launched, true);
+        assert.strictEqual(checks.database.status, 'pass');
+        assert.strictEqual(checks.scrapeQueue.status, 'pass');
+        assert.strictEqual(checks.scrapeSuccess.successPercent, null);
+    });
+
+    it('skips the database when no database-backed cache is configured', async () => {
+        const { checks } = await healthChecks().checkReadiness();
+
+        assert.strictEqual(checks.database.status, 'skip');
+    });
+
+    it('fails when Chrome is missing or cannot launch', async () => {
+        const missing = await healthChecks({ executablePath: path.join(__dirname, 'no-chrome') }).checkReadiness();
+        assert.strictEqual(missing.ready, false);
+        assert.match(missing.checks.browser.error, /Chrome not found/);
+
+        const broken = healthChecks({
+            browserPool: fakeBrowserPool({ launch: async () => { throw new Error('spawn EACCES'); } })
+        });
+        assert.match((await broken.checkReadiness()).checks.browser.error, /failed to launch: spawn EACCES/);
+    });
+
+    it('fails when the database does not answer in time', async () => {
+        const { ready, checks } = await healthChecks({ pingDatabase: () => new Promise(() => { }) }).checkReadiness();
+
+        assert.strictEqual(ready, false);
+        assert.match(checks.database.error, /did not answer within 200ms/);
+    });
+
+    it('fails when the scrape queue is full', async () => {
+        const { checks } = await healthChecks({ scheduler: fakeScheduler({ running: 1, queued: 2 }) }).checkReadiness();
+
+        assert.strictEqual(checks.scrapeQueue.status, 'fail');
+    });
+
+    it('judges the recent scrape success rate, ignoring failures caused by the video', async () => {
+        const health = healthChecks();
+        health.recordScrape({ success: true });
+        health.recordScrape({ success: false, errorCode: 'CONTENT_UNAVAILABLE' });
+        health.recordScrape({ success: false, errorCode: 'HOST_NOT_ALLOWED' });
+        health.recordScrape({ success: false, errorCode: 'NAVIGATION_TIMEOUT' });
+        health.recordScrape(null);
+
+        // Three counted scrapes are too few to judge
+        assert.strictEqual((await health.checkReadiness()).checks.scrapeSuccess.status, 'pass');
+
+        health.recordScrape({ success: false, errorCode: 'UPSTREAM_BLOCKED' });
+        const { ready, checks } = await health.checkReadiness();
+        assert.strictEqual(ready, false);
+        assert.strictEqual(checks.scrapeSuccess.scrapes, 4);
+        assert.strictEqual(checks.scrapeSuccess.successPercent, 25);
+    });
+});
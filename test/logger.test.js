@@ -0,0 +1,78 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Read when the module loads
+process.env.LOG_FORMAT = 'json';
+process.env.LOG_LEVEL = 'info';
+const { logger, runWithRequestId } = require('../logger');
+const { createScrapeScheduler } = require('../scrapeScheduler');
+
+const lines = [];
+mock.method(console, 'log', (line) => lines.push(JSON.parse(line)));
+mock.method(console, 'error', (line) => lines.push(JSON.parse(line)));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('logger', () => {
+    beforeEach(() => {
+        lines.length = 0;
+    });
+
+    it('writes JSON lines with level, message and fields', () => {
+        logger.info('✅ Cache updated', { cacheKey: 'video:1' });
+        logger.debug('not shown');
+
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(lines[0].level, 'info');
+        assert.strictEqual(lines[0].msg, '✅ Cache updated');
+        assert.strictEqual(lines[0].cacheKey, 'video:1');
+        assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+    });
+
+    it('serializes errors', () => {
+        const error = new Error('boom');
+        error.errorCode = 'SCRAPE_FAILED';
+        logger.error('❌ Scraping error', { error });
+
+        assert.deepStrictEqual(lines[0].error, { message: 'boom', name: 'Error', errorCode: 'SCRAPE_FAILED' });
+    });
+
+    it('adds the request ID across awaits and timers', async () => {
+        await runWithRequestId('req-1', async () => {
+            logger.info('start');
+            await sleep(5);
+            setTimeout(() => logger.info('timer'), 1);
+            await sleep(10);
+        });
+        logger.info('outside');
+
+        assert.deepStrictEqual(lines.map(line => line.requestId), ['req-1', 'req-1', undefined]);
+    });
+
+    it('keeps the request ID in child loggers used outside the request', async () => {
+        let child;
+        runWithRequestId('req-2', () => {
+            child = logger.child({ videoId: '42' });
+        });
+        child.info('⚡ Fast Capture');
+
+        assert.strictEqual(lines[0].requestId, 'req-2');
+        assert.strictEqual(lines[0].videoId, '42');
+    });
+
+    it('keeps the request ID of tasks started by the scrape queue', async () => {
+        const queue = createScrapeScheduler({ minSpacingMs: 0, maxConcurrency: 1, maxQueueLength: 5, maxWaitMs: 1000 });
+        // The second task starts when the first one finishes
+        const task = async () => {
+            logger.info('scraping');
+            await sleep(10);
+        };
+
+        await Promise.all([
+            runWithRequestId('first', () => queue.schedule(task)),
+            runWithRequestId('second', () => queue.schedule(task))
+        ]);
+
+        assert.deepStrictEqual(lines.map(line => line.requestId), ['first', 'second']);
+    });
+});
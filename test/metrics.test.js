@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { counter, histogram, addCollector, renderMetrics } = require('../metrics');
+
+describe('metrics', () => {
+    it('renders counters with escaped labels', () => {
+        const jobs = counter('test_jobs_total', 'Jobs by queue', ['queue']);
+        jobs.inc({ queue: 'a"b\\c\nd' });
+        jobs.inc({ queue: 'a"b\\c\nd' }, 2);
+
+        const text = renderMetrics();
+        assert.match(text, /# HELP test_jobs_total Jobs by queue\n# TYPE test_jobs_total counter\n/);
+        assert.ok(text.includes('test_jobs_total{queue="a\\"b\\\\c\\nd"} 3\n'));
+    });
+
+    it('renders cumulative histogram buckets with sum and count', () => {
+        const latency = histogram('test_latency_seconds', 'Latency', ['route'], [0.1, 1]);
+        latency.observe({ route: '/x' }, 0.05);
+        latency.observe({ route: '/x' }, 0.5);
+        latency.observe({ route: '/x' }, 3);
+
+        const text = renderMetrics();
+        assert.ok(text.includes('test_latency_seconds_bucket{route="/x",le="0.1"} 1\n'));
+        assert.ok(text.includes('test_latency_seconds_bucket{route="/x",le="1"} 2\n'));
+        assert.ok(text.includes('test_latency_seconds_bucket{route="/x",le="+Inf"} 3\n'));
+        assert.ok(text.includes('test_latency_seconds_sum{route="/x"} 3.55\n'));
+        assert.ok(text.includes('test_latency_seconds_count{route="/x"} 3\n'));
+    });
+
+    it('reads collectors on every render', () => {
+        let depth = 1;
+        addCollector(() => [{ name: 'test_depth', help: 'Depth', type: 'gauge', samples: [{ value: depth }] }]);
+
+        assert.ok(renderMetrics().includes('test_depth 1\n'));
+        depth = 4;
+        assert.ok(renderMetrics().includes('test_depth 4\n'));
+    });
+
+    it('refuses duplicate metric names', () => {
+        assert.throws(() => counter('test_jobs_total', 'Again'), /already registered/);
+    });
+});
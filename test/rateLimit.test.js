@@ -0,0 +1,199 @@
+const net = require('net');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startFakeRedis } = require('./fixtures/fakeRedis');
+const { createRateLimiter, createClientIpResolver } = require('../rateLimit');
+const { createMemoryStore } = require('../rateLimit/memoryStore');
+const { createRedisStore } = require('../rateLimit/redisStore');
+
+// Keep store error logs out of the test output
+mock.method(console, 'error', () => { });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let fakeRedis;
+
+before(async () => {
+    fakeRedis = await startFakeRedis();
+});
+
+after(() => fakeRedis.close());
+
+/**
+ * Count how many of `hits` checks are allowed
+ */
+async function allowedOf(limiter, clientId, limit, hits) {
+    let allowed = 0;
+    for (let i = 0; i < hits; i++) {
+        if ((await limiter.check(clientId, limit)).allowed) allowed++;
+    }
+    return allowed;
+}
+
+const backends = {
+    memory: () => createMemoryStore(),
+    redis: () => createRedisStore({ url: fakeRedis.url, prefix: `test:${Math.random()}:` })
+};
+
+for (const [backend, createStore] of Object.entries(backends)) {
+    describe(`rate limit algorithms (${backend} store)`, () => {
+        let store;
+
+        before(() => {
+            store = createStore();
+        });
+
+        after(() => store.close());
+
+        const limiter = (algorithm, windowMs) => createRateLimiter({ name: algorithm, algorithm, windowMs, store });
+
+        it('fixed window: allows the limit, then resets with the window', async () => {
+            const fixed = limiter('fixed-window', 300);
+
+            const first = await fixed.check('a', 3);
+            assert.strictEqual(first.remaining, 2);
+            assert.ok(first.resetTime > Date.now());
+
+            assert.strictEqual(await allowedOf(fixed, 'a', 3, 4), 2);
+            const denied = await fixed.check('a', 3);
+            assert.strictEqual(denied.allowed, false);
+            assert.ok(denied.retryAfter >= 1);
+
+            // Other clients have their own counter
+            assert.strictEqual((await fixed.check('b', 3)).allowed, true);
+
+            await sleep(350);
+            assert.strictEqual((await fixed.check('a', 3)).allowed, true);
+        });
+
+        it('sliding log: never allows more than the limit in any window', async () => {
+            const sliding = limiter('sliding-log', 300);
+
+            assert.strictEqual(await allowedOf(sliding, 'a', 3, 3), 3);
+            await sleep(150);
+            // Denied hits are not logged, so they don't push the window out
+            assert.strictEqual(await allowedOf(sliding, 'a', 3, 3), 0);
+
+            await sleep(200);
+            const result = await sliding.check('a', 3);
+            assert.strictEqual(result.allowed, true);
+            assert.strictEqual(result.remaining, 2);
+        });
+
+        it('token bucket: allows a burst, then refills at the steady rate', async () => {
+            const bucket = limiter('token-bucket', 400);
+
+            assert.strictEqual(await allowedOf(bucket, 'a', 4, 6), 4);
+            const denied = await bucket.check('a', 4);
+            assert.strictEqual(denied.allowed, false);
+            assert.ok(denied.resetTime - Date.now() <= 100);
+
+            // One token every 100ms
+            await sleep(120);
+            assert.strictEqual(await allowedOf(bucket, 'a', 4, 2), 1);
+        });
+    });
+}
+
+describe('redis store', () => {
+    it('retries a token bucket update when another client wrote the key', async () => {
+        const store = createRedisStore({ url: fakeRedis.url, prefix: 'conflict:' });
+        let attempts = 0;
+
+        const result = await store.update('bucket', 1000, (state) => {
+            attempts++;
+            if (attempts === 1) fakeRedis.touch('conflict:bucket');
+            return { state: { n: (state ? state.n : 0) + 1 }, result: attempts };
+        });
+
+        assert.strictEqual(result, 2);
+        assert.strictEqual(JSON.parse(fakeRedis.keys.get('conflict:bucket').value).n, 1);
+        await store.close();
+    });
+
+    it('lets requests through when Redis is unreachable', async () => {
+        const probe = net.createServer().listen(0, '127.0.0.1');
+        await new Promise(resolve => probe.once('listening', resolve));
+        const { port } = probe.address();
+        await new Promise(resolve => probe.close(resolve));
+
+        const limiter = createRateLimiter({
+            name: 'down',
+            algorithm: 'fixed-window',
+            windowMs: 1000,
+            store: createRedisStore({ url: `redis://127.0.0.1:${port}` })
+        });
+
+        const result = await limiter.check('a', 1);
+        assert.strictEqual(result.allowed, true);
+        assert.strictEqual((await limiter.check('a', 1)).allowed, true);
+    });
+
+    it('lets requests through when Redis stops answering', async () => {
+        const sockets = [];
+        const silent = net.createServer(socket => sockets.push(socket));
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+
+        const store = createRedisStore({ url: `redis://127.0.0.1:${silent.address().port}`, commandTimeoutMs: 100 });
+        const limiter = createRateLimiter({ name: 'silent', algorithm: 'fixed-window', windowMs: 1000, store });
+
+        const startedAt = Date.now();
+        assert.strictEqual((await limiter.check('a', 1)).allowed, true);
+        assert.ok(Date.now() - startedAt < 1000);
+        sockets.forEach(socket => socket.destroy());
+        silent.close();
+    });
+
+    it('fails commands instead of crashing on replies it can\'t parse', async () => {
+        const garbled = net.createServer(socket => socket.on('data', () => socket.write('HTTP/1.1 400 Bad Request\r\n')));
+        await new Promise(resolve => garbled.listen(0, '127.0.0.1', resolve));
+
+        const store = createRedisStore({ url: `redis://127.0.0.1:${garbled.address().port}` });
+        await assert.rejects(store.increment('a', 1000), /Unexpected Redis reply type/);
+        garbled.close();
+    });
+
+    it('speaks TLS to rediss: URLs and never sends the password in clear', async () => {
+        const received = [];
+        const plain = net.createServer((socket) => socket.on('data', chunk => received.push(chunk)));
+        await new Promise(resolve => plain.listen(0, '127.0.0.1', resolve));
+
+        const store = createRedisStore({ url: `rediss://:s3cret@127.0.0.1:${plain.address().port}`, connectTimeoutMs: 300 });
+        await assert.rejects(store.increment('a', 1000));
+        plain.close();
+
+        const bytes = Buffer.concat(received);
+        assert.strictEqual(bytes[0], 0x16); // TLS handshake record
+        assert.ok(!bytes.includes('s3cret'));
+    });
+});
+
+describe('createClientIpResolver', () => {
+    function request(path, remoteAddress, forwardedFor) {
+        const socket = { remoteAddress };
+        return {
+            originalUrl: path,
+            connection: socket,
+            socket,
+            headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+        };
+    }
+
+    const clientIp = createClientIpResolver({
+        defaultTrust: 'loopback',
+        routes: { '/api/stream': 'false', '/api/stream/cdn': '10.0.0.0/8' }
+    });
+
+    it('uses X-Forwarded-For only from trusted proxies', () => {
+        assert.strictEqual(clientIp(request('/api/scrape-video', '127.0.0.1', '203.0.113.7')), '203.0.113.7');
+        assert.strictEqual(clientIp(request('/api/scrape-video', '198.51.100.1', '203.0.113.7')), '198.51.100.1');
+        // Only the trusted hops are skipped
+        assert.strictEqual(clientIp(request('/api/video/1', '127.0.0.1', '203.0.113.7, 198.51.100.9')), '198.51.100.9');
+    });
+
+    it('applies the longest matching route setting', () => {
+        assert.strictEqual(clientIp(request('/api/stream/123?quality=720p', '127.0.0.1', '203.0.113.7')), '127.0.0.1');
+        assert.strictEqual(clientIp(request('/api/stream/cdn/123', '10.1.2.3', '203.0.113.7')), '203.0.113.7');
+        assert.strictEqual(clientIp(request('/api/streamer', '127.0.0.1', '203.0.113.7')), '203.0.113.7');
+    });
+});
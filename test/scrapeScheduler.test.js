@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeFacebook, VIDEOS } = require('./fixtures/fakeFacebook');
+
+let fixture;
+let providers;
+let createScrapeScheduler;
+
+// Config is read once, so the fixture's settings (and the shared queue's spacing) go in first
+before(async () => {
+    fixture = await startFakeFacebook();
+    Object.assign(process.env, fixture.env, { FB_SCRAPE_DELAY_MS: '300' });
+    ({ createScrapeScheduler } = require('../scrapeScheduler'));
+    providers = require('../providers');
+});
+
+after(() => fixture.close());
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function scheduler(options) {
+    return createScrapeScheduler({ minSpacingMs: 0, maxConcurrency: 1, maxQueueLength: 10, maxWaitMs: 5000, ...options });
+}
+
+describe('createScrapeScheduler', () => {
+    it('runs tasks in FIFO order, one at a time', async () => {
+        const queue = scheduler();
+        const order = [];
+        let active = 0;
+
+        const task = (name) => async () => {
+            active++;
+            assert.strictEqual(active, 1);
+            await sleep(20);
+            order.push(name);
+            active--;
+            return name;
+        };
+
+        const results = await Promise.all(['a', 'b', 'c'].map(name => queue.schedule(task(name))));
+
+        assert.deepStrictEqual(results, ['a', 'b', 'c']);
+        assert.deepStrictEqual(order, ['a', 'b', 'c']);
+        assert.strictEqual(queue.getStats().started, 3);
+    });
+
+    it('spaces starts and honours max concurrency', async () => {
+        const queue = scheduler({ minSpacingMs: 100, maxConcurrency: 2 });
+        const starts = [];
+        const task = async () => {
+            starts.push(Date.now());
+            await sleep(10);
+        };
+
+        await Promise.all([queue.schedule(task), queue.schedule(task), queue.schedule(task)]);
+
+        assert.ok(starts[1] - starts[0] >= 95);
+        assert.ok(starts[2] - starts[1] >= 95);
+    });
+
+    it('reports positions and how long a task waited', async () => {
+        const queue = scheduler({ minSpacingMs: 50 });
+        const positions = [];
+        let waited = null;
+
+        await Promise.all([
+            queue.schedule(() => sleep(10)),
+            queue.schedule(() => sleep(10), { onPosition: (position) => positions.push(`b${position}`) }),
+            queue.schedule(({ waitedMs }) => { waited = waitedMs; }, { onPosition: (position) => positions.push(`c${position}`) })
+        ]);
+
+        assert.deepStrictEqual(positions, ['b1', 'c2', 'c1']);
+        assert.ok(waited >= 90);
+    });
+
+    it('rejects when the queue is full', async () => {
+        const queue = scheduler({ maxQueueLength: 1 });
+        const running = queue.schedule(() => sleep(50));
+        const waiting = queue.schedule(() => 'queued');
+
+        await assert.rejects(queue.schedule(() => 'rejected'), { errorCode: 'SCRAPE_QUEUE_FULL' });
+        assert.strictEqual(await waiting, 'queued');
+        await running;
+        assert.strictEqual(queue.getStats().rejected, 1);
+    });
+
+    it('drops tasks that wait past their deadline', async () => {
+        const queue = scheduler();
+        const running = queue.schedule(() => sleep(100));
+        let ran = false;
+
+        await assert.rejects(queue.schedule(() => { ran = true; }, { maxWaitMs: 30 }), { errorCode: 'SCRAPE_QUEUE_TIMEOUT' });
+        await running;
+        assert.strictEqual(ran, false);
+        assert.strictEqual(queue.getStats().queued, 0);
+    });
+
+    it('keeps going after a task fails', async () => {
+        const queue = scheduler();
+        const failing = queue.schedule(async () => { throw new Error('boom'); });
+        const next = queue.schedule(() => 'ok');
+
+        await assert.rejects(failing, /boom/);
+        assert.strictEqual(await next, 'ok');
+    });
+});
+
+describe('Facebook scrapes through the queue', () => {
+    it('makes concurrent scrapes wait their turn instead of failing', async () => {
+        const stages = [];
+        const [first, second] = await Promise.all([
+            providers.getFreshVideoUrl(VIDEOS.EMBEDDED),
+            providers.getFreshVideoUrl(VIDEOS.DASH, {
+                onProgress: (stage, data) => stages.push(stage === 'queued' ? `queued:${data.position}` : stage)
+            })
+        ]);
+
+        assert.strictEqual(first.success, true);
+        assert.strictEqual(first.queue, undefined);
+        assert.strictEqual(second.success, true);
+        assert.strictEqual(second.queue.position, 1);
+        assert.ok(second.queue.waitedMs >= 250);
+        assert.strictEqual(stages[0], 'queued:1');
+        assert.ok(stages.includes('capture'));
+    });
+
+    it('does not queue providers without a rate limit', async () => {
+        const result = await providers.getFreshVideoUrl(`${fixture.baseUrl}/page`);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.queue, undefined);
+    });
+});
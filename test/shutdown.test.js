@@ -0,0 +1,31 @@
+const http = require('http');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+// Info lines go to stdout, which the Node 20 test runner can misread; warnings and errors still show
+process.env.LOG_LEVEL = 'warn';
+
+const { onShutdown, shutdown } = require('../shutdown');
+
+function listen() {
+    const server = http.createServer((req, res) => res.end());
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('shutdown', () => {
+    it('runs the cleanup hooks and exits with 1 when draining fails', async () => {
+        const server = await listen();
+        let cleanedUp = false;
+        onShutdown('test', () => { cleanedUp = true; });
+
+        const exitCode = await shutdown({
+            server,
+            drain: async () => { throw new Error('Redis quit failed'); },
+            timeoutMs: 1000
+        }, 'SIGTERM');
+
+        assert.strictEqual(exitCode, 1);
+        assert.strictEqual(cleanedUp, true);
+        assert.strictEqual(server.listening, false);
+    });
+});
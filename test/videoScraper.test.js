@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startFakeFacebook, VIDEOS } = require('./fixtures/fakeFacebook');
+
+let fixture;
+let scraper;
+
+before(async () => {
+    fixture = await startFakeFacebook();
+    Object.assign(process.env, fixture.env);
+    scraper = require('../videoScraper');
+});
+
+after(() => fixture.close());
+
+function efgUrl(tag, extra = '') {
+    const efg = Buffer.from(JSON.stringify({ vencode_tag: tag, bitrate: 500000 })).toString('base64');
+    return `https://video.xx.fbcdn.net/v/t42/video.mp4?efg=${encodeURIComponent(efg)}${extra}`;
+}
+
+describe('extractExpiration', () => {
+    it('reads the hex `oe` timestamp', () => {
+        const expiresAt = scraper.extractExpiration('https://video.xx.fbcdn.net/v/a.mp4?_nc_ht=x&oe=6553F100');
+        assert.strictEqual(expiresAt.getTime(), 0x6553F100 * 1000);
+    });
+
+    it('defaults to 24 hours without `oe`', () => {
+        const hours = (scraper.extractExpiration('https://video.xx.fbcdn.net/v/a.mp4').getTime() - Date.now()) / 3600000;
+        assert.ok(hours > 23.9 && hours <= 24);
+    });
+});
+
+describe('decodeRendition', () => {
+    it('decodes progressive renditions from `efg`', () => {
+        const rendition = scraper.decodeRendition(efgUrl('progressive_h264-basic-gen2_720p'));
+        assert.strictEqual(rendition.kind, 'muxed');
+        assert.strictEqual(rendition.quality, '720p');
+        assert.strictEqual(rendition.bitrate, 500000);
+    });
+
+    it('marks DASH video and audio tracks and strips byte ranges', () => {
+        const video = scraper.decodeRendition(efgUrl('dash_h264-basic-gen2_1080p', '&bytestart=0&byteend=999'));
+        assert.strictEqual(video.kind, 'video');
+        assert.strictEqual(video.height, 1080);
+        assert.ok(!video.url.includes('bytestart'));
+
+        assert.strictEqual(scraper.decodeRendition(efgUrl('dash_ln_heaac_vbr3_audio')).kind, 'audio');
+    });
+
+    it('falls back to the height in the path', () => {
+        assert.strictEqual(scraper.extractQuality('https://cdn.example/v/clip_480p.mp4'), '480p');
+        assert.strictEqual(scraper.extractQuality('https://cdn.example/v/clip.mp4'), 'unknown');
+    });
+});
+
+describe('selectRendition / resolveStreams', () => {
+    const renditions = [
+        { url: 'a', height: 1080 },
+        { url: 'b', height: 720 },
+        { url: 'c', height: 360 }
+    ];
+
+    it('picks best, lowest and the closest height at or below', () => {
+        assert.strictEqual(scraper.selectRendition(renditions, 'best').url, 'a');
+        assert.strictEqual(scraper.selectRendition(renditions, 'lowest').url, 'c');
+        assert.strictEqual(scraper.selectRendition(renditions, '800p').url, 'b');
+        assert.strictEqual(scraper.selectRendition(renditions, '240p').url, 'c');
+    });
+
+    it('validates quality values', () => {
+        assert.ok(scraper.isValidQuality('720p'));
+        assert.ok(scraper.isValidQuality('best'));
+        assert.ok(!scraper.isValidQuality('hd'));
+    });
+
+    it('builds a DASH manifest capped at the selected quality', () => {
+        const resolved = scraper.resolveStreams([
+            { url: 'v1080', kind: 'video', height: 1080 },
+            { url: 'v360', kind: 'video', height: 360 },
+            { url: 'a', kind: 'audio', bitrate: 64000 }
+        ], '720p');
+
+        assert.strictEqual(resolved.type, 'dash');
+        assert.strictEqual(resolved.selected.url, 'v360');
+        assert.ok(resolved.manifest.includes('<BaseURL>v360</BaseURL>'));
+        assert.ok(!resolved.manifest.includes('v1080'));
+        assert.ok(resolved.manifest.includes('<BaseURL>a</BaseURL>'));
+    });
+
+    it('returns null without a video stream', () => {
+        assert.strictEqual(scraper.resolveStreams([{ url: 'a', kind: 'audio' }]), null);
+    });
+});
+
+describe('HTML extraction', () => {
+    it('reads embedded progressive URLs', async () => {
+        const stages = [];
+        const result = await scraper.scrapeWithHtmlExtraction(VIDEOS.EMBEDDED, (stage) => stages.push(stage));
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.type, 'direct');
+        assert.strictEqual(result.quality, '720p');
+        assert.deepStrictEqual(result.renditions.map(r => r.quality), ['720p', '360p']);
+        assert.ok(result.url.startsWith(`${fixture.baseUrl}/cdn/v/embedded_720p.mp4`));
+        assert.ok(result.expiresAt > new Date());
+        assert.deepStrictEqual(stages, ['fetching', 'capture']);
+    });
+
+    it('reads an embedded DASH manifest', async () => {
+        const result = await scraper.scrapeWithHtmlExtraction(VIDEOS.DASH);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.type, 'dash');
+        assert.strictEqual(result.quality, '720p');
+        assert.strictEqual(result.audio.length, 1);
+        assert.ok(result.manifest.includes('<MPD'));
+    });
+
+    it('finds nothing on pages without embedded URLs', async () => {
+        const result = await scraper.scrapeWithHtmlExtraction(VIDEOS.INSTANT);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorCode, 'NO_MEDIA_CAPTURED');
+    });
+
+    it('classifies pages without a video', async () => {
+        assert.strictEqual((await scraper.scrapeWithHtmlExtraction(VIDEOS.PRIVATE)).errorCode, 'CONTENT_UNAVAILABLE');
+        assert.strictEqual((await scraper.scrapeWithHtmlExtraction(VIDEOS.LOGIN)).errorCode, 'LOGIN_REQUIRED');
+        assert.strictEqual((await scraper.scrapeWithHtmlExtraction(VIDEOS.BLOCKED)).errorCode, 'UPSTREAM_BLOCKED');
+    });
+
+    it('ignores URLs outside the CDN pattern', () => {
+        const html = '{"playable_url":"https:\\/\\/elsewhere.example\\/v.mp4"}';
+        assert.deepStrictEqual(scraper.extractPlayableStreams(html), []);
+    });
+
+    it('ignores URLs that only mention the CDN in their query', () => {
+        const cdn = fixture.env.FACEBOOK_CDN_PATTERN.replace(/\\/g, '');
+        const html = `{"playable_url":"https:\\/\\/evil.example\\/?x=${cdn}v.mp4"}`;
+        assert.deepStrictEqual(scraper.extractPlayableStreams(html), []);
+    });
+
+    it('answers deleted videos (HTTP 404) without starting Chrome', async () => {
+        const stages = [];
+        const result = await scraper.scrapeFacebookVideo(VIDEOS.DELETED, (stage) => stages.push(stage));
+
+        assert.strictEqual(result.errorCode, 'CONTENT_UNAVAILABLE');
+        assert.ok(!stages.includes('launching'));
+    });
+
+    it('gives up on pages that never answer', async () => {
+        const result = await scraper.scrapeWithHtmlExtraction(VIDEOS.TIMEOUT);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorCode, 'NAVIGATION_TIMEOUT');
+    });
+});
+
+describe('isFacebookCdnUrl', () => {
+    it('accepts URLs on the CDN host only', () => {
+        const cdn = fixture.env.FACEBOOK_CDN_PATTERN.replace(/\\/g, '');
+        assert.strictEqual(scraper.isFacebookCdnUrl(`http://${cdn}v/video.mp4`), true);
+        assert.strictEqual(scraper.isFacebookCdnUrl(`http://evil.example/${cdn}video.mp4`), false);
+        assert.strictEqual(scraper.isFacebookCdnUrl(`http://evil.example/video.mp4?u=${cdn}`), false);
+        assert.strictEqual(scraper.isFacebookCdnUrl('not a url'), false);
+    });
+});
+
+describe('classifyFacebookPage', () => {
+    it('recognizes login walls, checkpoints and unavailable content', () => {
+        assert.strictEqual(scraper.classifyFacebookPage('', 'https://www.facebook.com/login/?next=x'), 'LOGIN_REQUIRED');
+        assert.strictEqual(scraper.classifyFacebookPage('', 'https://www.facebook.com/checkpoint/1501092823525282/'), 'UPSTREAM_BLOCKED');
+        assert.strictEqual(scraper.classifyFacebookPage('<span>This video isn&#039;t available anymore</span><div id="login_form"></div>', ''), 'CONTENT_UNAVAILABLE');
+        assert.strictEqual(scraper.classifyFacebookPage('<video></video>', 'https://www.facebook.com/watch?v=1'), null);
+    });
+});
@@ -1,16 +1,221 @@
-const puppeteer = require('puppeteer-core');
 const axios = require('axios');
-require('dotenv').config();
+const browserPool = require('./browserPool');
+const { parseMpd, extractMpdFromHtml, buildDashManifest } = require('./dashManifest');
+const { scrapeFailure, classifyHttpStatus, classifyRequestError } = require('./scrapeErrors');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// How long to keep collecting renditions after the first video request
+const RENDITION_WINDOW_MS = config.scraper.renditionWindowMs;
+
+// Watch page origin and the CDN serving video files (pointed at a local fixture server in tests)
+const FACEBOOK_BASE_URL = config.scraper.facebookBaseUrl;
+const FACEBOOK_CDN_PATTERN = new RegExp(config.scraper.facebookCdnPattern, 'i');
+
+// Browser scrape timings: page load / first capture, and each play-fallback step
+const SCRAPE_TIMEOUT_MS = config.scraper.timeoutMs;
+const PLAY_FALLBACK_WAIT_MS = config.scraper.playFallbackWaitMs;
+// Watch page fetch (HTML extraction) and HEAD checks of scraped URLs
+const HTML_FETCH_TIMEOUT_MS = Math.min(config.scraper.htmlFetchTimeoutMs, SCRAPE_TIMEOUT_MS);
+const URL_CHECK_TIMEOUT_MS = config.scraper.urlCheckTimeoutMs;
+
+// Fetch the watch page HTML and read its embedded URLs before starting Chrome
+const HTML_EXTRACTION_ENABLED = config.scraper.htmlExtraction;
+
+// JSON fields of the watch page payload holding progressive URLs,
+// with the height assumed when the URL itself doesn't tell
+const PLAYABLE_URL_FIELDS = {
+    browser_native_hd_url: 720,
+    playable_url_quality_hd: 720,
+    hd_src_no_ratelimit: 720,
+    hd_src: 720,
+    browser_native_sd_url: 360,
+    playable_url: 360,
+    sd_src_no_ratelimit: 360,
+    sd_src: 360
+};
+
+// Pages Facebook serves instead of a video, checked in order (unavailable pages also carry a login form)
+const PAGE_SIGNATURES = [
+    { code: 'UPSTREAM_BLOCKED', pattern: /you(?:'|’|&#039;|&#x27;)re temporarily blocked|security check required/i },
+    { code: 'CONTENT_UNAVAILABLE', pattern: /(?:this content|this video|this page) isn(?:'|’|&#039;|&#x27;)t available|video unavailable/i },
+    { code: 'LOGIN_REQUIRED', pattern: /id="login_form"|you must log in to continue/i }
+];
+
+// Watch page statuses the browser would only confirm (gone, or rate limited).
+// Text signatures are not final: logged-out pages often contain them for playable videos.
+const FINAL_HTML_STATUSES = [404, 410, 429];
+
+// Which strategy produced each scrape result
+const strategyStats = {
+    html: 0,
+    browser: 0,
+    failed: 0
+};
+
+/**
+ * Decode the `efg` query parameter (base64 JSON with `vencode_tag`, `bitrate`, ...)
+ */
+function decodeEfg(url) {
+    try {
+        const efg = new URL(url).searchParams.get('efg');
+        if (!efg) return null;
+        return JSON.parse(Buffer.from(efg, 'base64').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remove byte-range parameters so a segment request becomes the full rendition URL
+ */
+function stripByteRange(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.searchParams.delete('bytestart');
+        parsed.searchParams.delete('byteend');
+        return parsed.toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Decode a rendition's kind, resolution and bitrate from its URL.
+ * `kind` is 'muxed' for progressive mp4 (audio + video), or 'video' / 'audio'
+ * for the separate tracks of a DASH stream.
+ * @param {string} url - Video URL
+ * @returns {{url: string, kind: string, quality: string, height: number|null, bitrate: number|null}}
+ */
+function decodeRendition(url) {
+    const cleanUrl = stripByteRange(url);
+    const efg = decodeEfg(cleanUrl);
+    const tag = (efg && efg.vencode_tag) || '';
+    const bitrate = efg && Number(efg.bitrate) > 0 ? Number(efg.bitrate) : null;
+
+    if (/audio/i.test(tag)) {
+        return { url: cleanUrl, kind: 'audio', quality: 'audio', height: null, bitrate };
+    }
+
+    // DASH video tracks are tagged dash_* and fetched in byte ranges
+    const isDash = /(^|[._])dash_/.test(tag) || /[?&]bytestart=/.test(url);
+
+    let height = null;
+    const tagMatch = tag.match(/(\d{3,4})p/) || cleanUrl.match(/[_\-/](\d{3,4})p[_\-./]/);
+    if (tagMatch) {
+        height = parseInt(tagMatch[1], 10);
+    } else if (/(^|_)hd($|_)/.test(tag)) {
+        height = 720;
+    } else if (/(^|_)sd($|_)/.test(tag)) {
+        height = 360;
+    }
+
+    return {
+        url: cleanUrl,
+        kind: isDash ? 'video' : 'muxed',
+        quality: height ? `${height}p` : 'unknown',
+        height,
+        bitrate
+    };
+}
 
 /**
  * Extract quality from URL
  */
 function extractQuality(url) {
-    if (url.includes('1080p') || url.includes('hd')) return '1080p';
-    if (url.includes('720p')) return '720p';
-    if (url.includes('480p') || url.includes('sd')) return '480p';
-    if (url.includes('360p')) return '360p';
-    return 'unknown';
+    return decodeRendition(url).quality;
+}
+
+/**
+ * Sort renditions best first (height, then bitrate; unknown last)
+ */
+function sortRenditions(renditions) {
+    return [...renditions].sort((a, b) =>
+        (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0)
+    );
+}
+
+/**
+ * Pick a rendition for a requested quality
+ * @param {Array<object>} renditions - Renditions, best first
+ * @param {string} quality - 'best', 'lowest' or a height like '720p'.
+ *   A height picks the exact match, else the closest below it, else the lowest.
+ * @returns {object|null}
+ */
+function selectRendition(renditions, quality = 'best') {
+    if (!renditions || renditions.length === 0) return null;
+
+    if (quality === 'best') return renditions[0];
+    if (quality === 'lowest') return renditions[renditions.length - 1];
+
+    const target = parseInt(quality, 10);
+    const atOrBelow = renditions.filter(r => r.height && r.height <= target);
+    return atOrBelow.length > 0 ? atOrBelow[0] : renditions[renditions.length - 1];
+}
+
+/**
+ * Check a caller-supplied quality value
+ */
+function isValidQuality(quality) {
+    return /^(best|lowest|\d{3,4}p)$/.test(String(quality));
+}
+
+/**
+ * Resolve captured streams into a playable description for a quality.
+ * Progressive (muxed) renditions win; otherwise separate DASH video/audio
+ * tracks are returned with a synthesized manifest capped at the selected quality.
+ * @param {Array<object>} streams - Every captured stream (see decodeRendition)
+ * @param {string} quality - Requested quality
+ * @returns {{type: string, selected: object, renditions: Array<object>, audio: Array<object>, manifest: string|null}|null}
+ *   Null if no video stream was captured
+ */
+function resolveStreams(streams, quality = 'best') {
+    // Entries cached before DASH support have no kind and are progressive
+    const ofKind = (kind) => streams.filter(stream => (stream.kind || 'muxed') === kind);
+
+    const muxed = sortRenditions(ofKind('muxed'));
+    if (muxed.length > 0) {
+        return { type: 'direct', selected: selectRendition(muxed, quality), renditions: muxed, audio: [], manifest: null };
+    }
+
+    const video = sortRenditions(ofKind('video'));
+    if (video.length === 0) return null;
+
+    const audio = ofKind('audio').sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+    const selected = selectRendition(video, quality);
+    const capped = video.filter(stream => stream === selected || (stream.height && selected.height && stream.height <= selected.height));
+
+    return {
+        type: 'dash',
+        selected,
+        renditions: video,
+        audio,
+        manifest: buildDashManifest(capped, audio)
+    };
+}
+
+/**
+ * Build a scrape result from the captured streams (best one as `url`)
+ * @param {Array<object>} streams - Captured streams
+ * @param {Function} [computeExpiry] - url => Date, defaults to Facebook's `oe` parameter
+ */
+function buildRenditionResult(streams, computeExpiry = extractExpiration) {
+    const resolved = resolveStreams(streams);
+    if (!resolved) {
+        return scrapeFailure('NO_MEDIA_CAPTURED', 'No video stream captured');
+    }
+
+    return {
+        success: true,
+        url: resolved.selected.url,
+        quality: resolved.selected.quality,
+        type: resolved.type,
+        expiresAt: computeExpiry(resolved.selected.url),
+        renditions: resolved.renditions,
+        audio: resolved.audio,
+        manifest: resolved.manifest,
+        streams
+    };
 }
 
 /**
@@ -30,10 +235,30 @@ function extractExpiration(url) {
     return new Date(Date.now() + 24 * 60 * 60 * 1000);
 }
 
+/**
+ * Check that a URL is served by the Facebook CDN (FACEBOOK_CDN_PATTERN against host and path).
+ * The match has to end the host name, so fbcdn.net.example.com doesn't pass.
+ */
+function isFacebookCdnUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+
+    const target = `${parsed.host}${parsed.pathname}`;
+    const match = FACEBOOK_CDN_PATTERN.exec(target);
+    return match !== null &&
+        (match.index === 0 || target[match.index - 1] === '.') &&
+        match.index + match[0].length >= parsed.host.length;
+}
+
 async function validateUrl(url) {
     try {
         const response = await axios.head(url, {
-            timeout: 5000,
+            timeout: URL_CHECK_TIMEOUT_MS,
             maxRedirects: 5,
             validateStatus: (status) => status === 200 || status === 206
         });
@@ -43,48 +268,206 @@ async function validateUrl(url) {
     }
 }
 
+function getWatchUrl(facebookPostId) {
+    return `${FACEBOOK_BASE_URL}/watch?v=${facebookPostId}`;
+}
+
 /**
- * OPTIMIZED: Network Interception with Resource Blocking and Early Exit
+ * Tell why a Facebook page has no video: login wall, checkpoint, unavailable content
+ * @param {string} html - Page HTML
+ * @param {string} url - Final page URL (after redirects)
+ * @returns {string|null} - Error code (see scrapeErrors), or null if nothing matched
+ */
+function classifyFacebookPage(html, url) {
+    const path = url ? new URL(url, FACEBOOK_BASE_URL).pathname : '';
+    if (path.startsWith('/checkpoint')) return 'UPSTREAM_BLOCKED';
+    if (/^\/login(\.php|\/|$)/.test(path)) return 'LOGIN_REQUIRED';
+
+    const signature = PAGE_SIGNATURES.find(({ pattern }) => pattern.test(html || ''));
+    return signature ? signature.code : null;
+}
+
+/**
+ * Read the progressive URLs (and DASH manifest) embedded in a watch page's JSON payload
+ * @param {string} html - Watch page HTML
+ * @returns {Array<object>} - Streams, see decodeRendition
+ */
+function extractPlayableStreams(html) {
+    const streams = new Map();
+
+    for (const [field, assumedHeight] of Object.entries(PLAYABLE_URL_FIELDS)) {
+        // First occurrence only: later ones belong to related videos
+        const match = new RegExp(`"${field}":("(?:[^"\\\\]|\\\\.)*")`).exec(html);
+        if (!match) continue;
+
+        let url;
+        try {
+            url = JSON.parse(match[1]);
+        } catch (e) {
+            continue;
+        }
+        if (!isFacebookCdnUrl(url)) continue;
+
+        const rendition = decodeRendition(url);
+        if (streams.has(rendition.url)) continue;
+
+        const height = rendition.height || assumedHeight;
+        streams.set(rendition.url, { ...rendition, kind: 'muxed', height, quality: `${height}p` });
+    }
+
+    const xml = extractMpdFromHtml(html);
+    if (xml) {
+        for (const stream of parseMpd(xml)) {
+            const url = stripByteRange(stream.url);
+            if (isFacebookCdnUrl(url) && !streams.has(url)) streams.set(url, { ...stream, url });
+        }
+    }
+
+    return [...streams.values()];
+}
+
+/**
+ * Fast path: fetch the watch page with axios and parse the URLs it embeds (no browser)
+ * @param {string} facebookPostId - Facebook video ID
+ * @param {Function} [onProgress] - Called as onProgress(stage, data) for fetching and capture stages
  */
-async function scrapeWithNetworkInterception(facebookPostId) {
-    let browser = null;
+async function scrapeWithHtmlExtraction(facebookPostId, onProgress = () => { }) {
+    const facebookUrl = getWatchUrl(facebookPostId);
 
     try {
-        console.log(`🔍 Scraping (Fast Mode): ${facebookPostId}`);
-
-        browser = await puppeteer.launch({
-            headless: 'new',
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/google-chrome-stable',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--disable-notifications',
-                '--disable-extensions'
-            ]
+        logger.info('🔍 Scraping (HTML)', { videoId: facebookPostId });
+        onProgress('fetching', { url: facebookUrl });
+
+        const response = await axios.get(facebookUrl, {
+            timeout: HTML_FETCH_TIMEOUT_MS,
+            maxRedirects: 3,
+            responseType: 'text',
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                'Accept': 'text/html,application/xhtml+xml',
+                'Accept-Language': 'en-US,en;q=0.9'
+            }
         });
 
-        const page = await browser.newPage();
+        const html = String(response.data);
+        const result = buildRenditionResult(extractPlayableStreams(html));
+        if (result.success) {
+            onProgress('capture', { method: 'html' });
+            return result;
+        }
+
+        const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || facebookUrl;
+        const code = classifyFacebookPage(html, finalUrl);
+        return code ? scrapeFailure(code, `Watch page classified as ${code}`) : result;
+    } catch (error) {
+        const failure = scrapeFailure(classifyRequestError(error), error.message);
+        if (error.response) failure.httpStatus = error.response.status;
+        return failure;
+    }
+}
+
+/**
+ * OPTIMIZED: Network Interception with Resource Blocking and Early Exit
+ * @param {string} facebookPostId - Facebook video ID
+ * @param {Function} [onProgress] - Called as onProgress(stage, data) for
+ *   launching, navigating, play-fallback and capture stages
+ */
+async function scrapeWithNetworkInterception(facebookPostId, onProgress = () => { }) {
+    // Page events fire outside the request's context, so bind the request ID now
+    const log = logger.child({ videoId: facebookPostId });
+    let lease = null;
+    let failed = false;
+
+    // Resolves with null after `ms`; pending waits are cleared once the scrape ends
+    const timers = [];
+    const wait = (ms) => new Promise(resolve => timers.push(setTimeout(() => resolve(null), ms)));
+
+    try {
+        log.info('🔍 Scraping (Fast Mode)');
+        onProgress('launching');
+
+        // Warm page from the shared browser pool (no Chrome cold start)
+        try {
+            lease = await browserPool.acquire();
+        } catch (error) {
+            log.error('❌ Could not start Chrome', { error });
+            return scrapeFailure('BROWSER_LAUNCH_FAILED', error.message);
+        }
+        const page = lease.page;
 
         // Block heavy resources
         await page.setRequestInterception(true);
 
+        // Every stream seen so far (Map<url without byte range, stream>)
+        const captured = new Map();
+        let captureTimer = null;
+
+        // Manifest entries carry codecs and byte ranges, so they win over network guesses
+        const addManifestStreams = (xml) => {
+            for (const stream of parseMpd(xml)) {
+                const url = stripByteRange(stream.url);
+                if (!isFacebookCdnUrl(url)) continue;
+                captured.set(url, { ...captured.get(url), ...stream, url });
+            }
+        };
+
+        page.on('response', async (response) => {
+            const contentType = response.headers()['content-type'] || '';
+            if (!response.url().includes('.mpd') && !contentType.includes('dash+xml')) return;
+
+            try {
+                addManifestStreams(await response.text());
+                log.info('📜 Found DASH manifest in network response');
+            } catch (e) {
+                // Response body not available (e.g. redirect)
+            }
+        });
+
         const videoFoundPromise = new Promise((resolve) => {
+            const finishCapture = async () => {
+                // Only separate DASH tracks so far: the page's own manifest lists them all
+                const streams = [...captured.values()];
+                if (!streams.some(stream => stream.kind === 'muxed')) {
+                    try {
+                        const xml = extractMpdFromHtml(await page.content());
+                        if (xml) {
+                            addManifestStreams(xml);
+                            log.info('📜 Found DASH manifest in page');
+                        }
+                    } catch (e) {
+                        // Page navigated away or closed
+                    }
+                }
+
+                const result = buildRenditionResult([...captured.values()]);
+                if (result.success) {
+                    resolve(result);
+                } else {
+                    // e.g. only audio so far: wait for the next video request
+                    captureTimer = null;
+                }
+            };
+
             page.on('request', (request) => {
                 const url = request.url();
                 const resourceType = request.resourceType();
 
                 // 1. Check if this request IS the video we want
-                if (url.includes('fbcdn.net') && url.includes('.mp4') && !url.includes('plugins')) {
-                    console.log('⚡ Fast Capture: Found video URL in request!');
-                    resolve({
-                        success: true,
-                        url: url,
-                        quality: extractQuality(url),
-                        type: 'direct',
-                        expiresAt: extractExpiration(url)
-                    });
+                if (isFacebookCdnUrl(url) && url.includes('.mp4') && !url.includes('plugins')) {
+                    const rendition = decodeRendition(url);
+                    if (!captured.has(rendition.url)) {
+                        captured.set(rendition.url, rendition);
+                    }
+
+                    // Keep listening briefly: the player often requests other renditions
+                    // (or the matching audio track) too
+                    if (!captureTimer) {
+                        log.info('⚡ Fast Capture: Found video URL in request!');
+                        // Cleared with the others, so it can't read a page that went back to the pool
+                        captureTimer = setTimeout(finishCapture, RENDITION_WINDOW_MS);
+                        timers.push(captureTimer);
+                    }
+
                     // Abort the actual download to save bandwidth!
                     request.abort();
                     return;
@@ -99,7 +482,7 @@ async function scrapeWithNetworkInterception(facebookPostId) {
                     // However, the check in step 1 runs first. If it matches, we resolve and abort.
                     // If it doesn't match and it's media, we abort. This is risky if the video url format changed.
                     // Let's NOT block media for now, just in case.
-                    if (resourceType === 'media' && !url.includes('fbcdn.net')) {
+                    if (resourceType === 'media' && !isFacebookCdnUrl(url)) {
                         request.abort();
                     } else if (['image', 'font'].includes(resourceType)) {
                         request.abort();
@@ -112,30 +495,40 @@ async function scrapeWithNetworkInterception(facebookPostId) {
             });
         });
 
-        const facebookUrl = `https://www.facebook.com/watch?v=${facebookPostId}`;
+        const facebookUrl = getWatchUrl(facebookPostId);
 
         // Race between navigating and finding the video
         // standard waiting for networkactivity might be safer if we want to ensure scripts run
         // but let's try domcontentloaded first as it is faster
+        onProgress('navigating', { url: facebookUrl });
         const navigationPromise = page.goto(facebookUrl, {
             waitUntil: 'domcontentloaded',
-            timeout: 30000
+            timeout: SCRAPE_TIMEOUT_MS
         });
+        // Never awaited: a navigation timeout (or the pool resetting the page) must not crash the process.
+        // The outcome is kept to classify a failed scrape.
+        const navigation = { done: false, response: null, error: null };
+        navigationPromise.then(
+            (response) => Object.assign(navigation, { done: true, response }),
+            (error) => Object.assign(navigation, { done: true, error })
+        );
 
         // Add a timeout for the whole operation (longer)
-        const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(null), 30000));
+        const timeoutPromise = wait(SCRAPE_TIMEOUT_MS);
 
         // Wait for video found OR navigation complete (then maybe wait scanning) OR timeout
         const result = await Promise.race([videoFoundPromise, timeoutPromise]);
 
         if (result) {
+            onProgress('capture', { method: 'network' });
             return result;
         }
 
         // If we are here, it means timeout or navigation finished without triggering request yet.
         // Let's try to PLAY the video to trigger the request.
         try {
-            await page.waitForSelector('video', { timeout: 5000 });
+            onProgress('play-fallback');
+            await page.waitForSelector('video', { timeout: PLAY_FALLBACK_WAIT_MS });
             await page.evaluate(() => {
                 const video = document.querySelector('video');
                 if (video) {
@@ -144,9 +537,12 @@ async function scrapeWithNetworkInterception(facebookPostId) {
                 }
             });
             // Wait a bit more for request
-            const extraWait = new Promise(resolve => setTimeout(() => resolve(null), 5000));
+            const extraWait = wait(PLAY_FALLBACK_WAIT_MS);
             const extraResult = await Promise.race([videoFoundPromise, extraWait]);
-            if (extraResult) return extraResult;
+            if (extraResult) {
+                onProgress('capture', { method: 'play' });
+                return extraResult;
+            }
         } catch (e) {
             // ignore
         }
@@ -155,41 +551,109 @@ async function scrapeWithNetworkInterception(facebookPostId) {
         try {
             const videoResult = await page.evaluate(() => {
                 const video = document.querySelector('video');
-                if (video && video.src && video.src.includes('fbcdn.net')) {
-                    return video.src;
-                }
-                return null;
+                return video && video.src ? video.src : null;
             });
 
-            if (videoResult) {
-                return {
-                    success: true,
-                    url: videoResult,
-                    quality: extractQuality(videoResult),
-                    type: 'direct',
-                    expiresAt: extractExpiration(videoResult)
-                };
+            if (videoResult && isFacebookCdnUrl(videoResult)) {
+                onProgress('capture', { method: 'src' });
+                return buildRenditionResult([{ ...decodeRendition(videoResult), kind: 'muxed' }]);
             }
         } catch (e) { }
 
-        return { success: false, error: 'Fast scrape timed out or failed' };
+        return scrapeFailure(await classifyBrowserFailure(page, navigation), 'Fast scrape timed out or failed');
 
     } catch (error) {
-        return { success: false, error: error.message };
+        failed = true;
+        return scrapeFailure('SCRAPE_FAILED', error.message);
     } finally {
-        if (browser) {
-            await browser.close();
+        timers.forEach(clearTimeout);
+        if (lease) {
+            // A page that threw may be in a bad state, so don't reuse it
+            await browserPool.release(lease, { discard: failed });
         }
     }
 }
 
-async function getFreshVideoUrl(facebookPostId) {
-    return await scrapeWithNetworkInterception(facebookPostId);
+/**
+ * Tell why a browser scrape captured nothing
+ * @param {object} page - Puppeteer page
+ * @param {{done: boolean, response: object|null, error: Error|null}} navigation - Watch page navigation outcome
+ * @returns {Promise<string>} - Error code
+ */
+async function classifyBrowserFailure(page, navigation) {
+    // Still loading, timed out or unreachable
+    if (!navigation.done || navigation.error) return 'NAVIGATION_TIMEOUT';
+
+    const statusCode = navigation.response ? classifyHttpStatus(navigation.response.status()) : null;
+    if (statusCode) return statusCode;
+
+    try {
+        return classifyFacebookPage(await page.content(), page.url()) || 'NO_MEDIA_CAPTURED';
+    } catch (e) {
+        return 'NO_MEDIA_CAPTURED';
+    }
+}
+
+/**
+ * Scrape a Facebook video: HTML extraction first, headless Chrome only if it finds nothing
+ * @param {string} facebookPostId - Facebook video ID
+ * @param {Function} [onProgress] - Stage listener, see the two strategies
+ * @returns {Promise<object>} - Scrape result with `strategy` ('html' or 'browser') on success
+ */
+async function scrapeFacebookVideo(facebookPostId, onProgress = () => { }) {
+    if (HTML_EXTRACTION_ENABLED) {
+        const htmlResult = await scrapeWithHtmlExtraction(facebookPostId, onProgress);
+        if (htmlResult.success) {
+            strategyStats.html++;
+            return { ...htmlResult, strategy: 'html' };
+        }
+        if (FINAL_HTML_STATUSES.includes(htmlResult.httpStatus)) {
+            strategyStats.failed++;
+            return htmlResult;
+        }
+        logger.info('↪️  HTML extraction found nothing, falling back to Chrome', { videoId: facebookPostId, reason: htmlResult.error, errorCode: htmlResult.errorCode });
+    }
+
+    const result = await scrapeWithNetworkInterception(facebookPostId, onProgress);
+    if (result.success) {
+        strategyStats.browser++;
+        return { ...result, strategy: 'browser' };
+    }
+
+    strategyStats.failed++;
+    return result;
+}
+
+/**
+ * Count of scrapes per successful strategy
+ */
+function getScrapeStats() {
+    return { htmlExtraction: HTML_EXTRACTION_ENABLED, ...strategyStats };
+}
+
+/**
+ * Get browser pool statistics
+ */
+function getBrowserStats() {
+    return browserPool.getStats();
 }
 
 module.exports = {
-    getFreshVideoUrl,
+    getWatchUrl,
+    scrapeFacebookVideo,
+    scrapeWithHtmlExtraction,
+    scrapeWithNetworkInterception,
+    extractPlayableStreams,
+    classifyFacebookPage,
+    getScrapeStats,
+    buildRenditionResult,
+    getBrowserStats,
     validateUrl,
+    isFacebookCdnUrl,
     extractExpiration,
-    extractQuality
+    extractQuality,
+    decodeRendition,
+    selectRendition,
+    resolveStreams,
+    isValidQuality
 };